@@ -0,0 +1,89 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Handle for a single ObjectGraph.prototype.capture() call. The .done promise
+// resolves to the graph when the capture completes, and rejects if the capture
+// is cancelled first.
+function CaptureHandle(graph) {
+  this.graph = graph;
+  this.settled = false;
+  this.cancelled = false;
+  this.listeners_ = { progress: [] };
+  // Task queues of the running capture; set by the graph.
+  this.queues = [];
+  // Set by the graph once the capture is running; stops its task queues.
+  this.onCancel_ = null;
+  this.done = new Promise((resolve, reject) => {
+    this.resolve_ = resolve;
+    this.reject_ = reject;
+  });
+  // Callers that only use callbacks never observe .done; do not let an
+  // unobserved cancellation surface as an unhandled rejection.
+  this.done.catch(() => {});
+}
+
+// Register listener for events of the given type. Supported types:
+//   progress: arguments = [{ visited, queueLength, path }]
+CaptureHandle.prototype.on = function(type, listener) {
+  console.assert(this.listeners_[type], `Unknown capture event: ${type}`);
+  this.listeners_[type].push(listener);
+  return this;
+};
+
+// Unregister listener previously registered with .on().
+CaptureHandle.prototype.off = function(type, listener) {
+  const listeners = this.listeners_[type] || [];
+  const idx = listeners.indexOf(listener);
+  if ( idx !== -1 ) listeners.splice(idx, 1);
+  return this;
+};
+
+CaptureHandle.prototype.emit = function(type, data) {
+  for ( const listener of this.listeners_[type].slice() ) {
+    listener(data);
+  }
+};
+
+CaptureHandle.prototype.resolve = function() {
+  if ( this.settled ) return;
+  this.settled = true;
+  this.resolve_(this.graph);
+};
+
+// Suspend the capture until .resume() is called.
+CaptureHandle.prototype.pause = function() {
+  for ( const queue of this.queues ) queue.pause();
+  return this;
+};
+
+CaptureHandle.prototype.resume = function() {
+  for ( const queue of this.queues ) queue.resume();
+  return this;
+};
+
+// Stop the capture, leaving the graph with whatever was visited so far.
+// Return false if the capture had already finished.
+CaptureHandle.prototype.cancel = function() {
+  if ( this.settled ) return false;
+  this.settled = this.cancelled = true;
+  this.onCancel_ && this.onCancel_();
+  this.reject_(new Error('Capture cancelled'));
+  return true;
+};
+
+module.exports = CaptureHandle;
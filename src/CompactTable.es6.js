@@ -0,0 +1,417 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Compact storage for per-object tables of named entries, such as an
+// ObjectGraph's property edges (id => name => id) and property descriptors
+// (id => name => descriptor).
+//
+// Names are interned. Rows are stored as adjacency arrays: rows sorted by id,
+// with entries of row r at [offsets[r], offsets[r + 1]), in the order they
+// were added (as Object.keys() lists a plain object's properties). byName_
+// holds the same range of entry indices, sorted by name index, for lookups.
+// Entry values are encoded by a codec into fixed numeric columns (see
+// CompactTable.EDGES and CompactTable.DESCRIPTORS).
+//
+// Rows being written (e.g., during capture) are kept as plain objects,
+// "pending" rows, until compact() packs them into the arrays. All reads see
+// both. Deleted entries are tombstoned until the next compact().
+function CompactTable(codec) {
+  this.codec = codec;
+  this.names = [];
+  this.nameIndex_ = new Map();
+  this.ids_ = new Uint32Array(0);
+  this.offsets_ = new Uint32Array(1);
+  this.entryNames_ = new Uint32Array(0);
+  this.byName_ = new Uint32Array(0);
+  this.columns_ = codec.columns.map(() => new Uint32Array(0));
+  // Tombstones for rows and entries deleted since the last compact().
+  this.rowDeleted_ = new Uint8Array(0);
+  this.entryDeleted_ = new Uint8Array(0);
+  this.pending_ = new Map();
+}
+
+// Codec for property edges: values are ids.
+CompactTable.EDGES = {
+  columns: [ 'id' ],
+  encode: function(value, columns, i) {
+    columns[0][i] = value;
+  },
+  decode: function(columns, i) {
+    return columns[0][i];
+  },
+};
+
+// Codec for property descriptors, as stored in ObjectGraph metadata: data
+// descriptors { value, writable, enumerable, configurable } with 0/1 flags,
+// or accessor descriptors { get, set, enumerable, configurable }, where get
+// and set may hold accessor ids in place of flags.
+CompactTable.DESCRIPTOR_FLAGS = {
+  accessor: 1,
+  value: 2,
+  writable: 4,
+  enumerable: 8,
+  configurable: 16,
+};
+CompactTable.DESCRIPTORS = {
+  columns: [ 'flags', 'get', 'set' ],
+  encode: function(descriptor, columns, i) {
+    var flags = CompactTable.DESCRIPTOR_FLAGS;
+    var isAccessor = Object.prototype.hasOwnProperty.call(descriptor, 'get') ||
+        Object.prototype.hasOwnProperty.call(descriptor, 'set');
+    columns[0][i] = ( isAccessor ? flags.accessor : 0 ) |
+        ( descriptor.value ? flags.value : 0 ) |
+        ( descriptor.writable ? flags.writable : 0 ) |
+        ( descriptor.enumerable ? flags.enumerable : 0 ) |
+        ( descriptor.configurable ? flags.configurable : 0 );
+    columns[1][i] = descriptor.get || 0;
+    columns[2][i] = descriptor.set || 0;
+  },
+  decode: function(columns, i) {
+    var flags = CompactTable.DESCRIPTOR_FLAGS;
+    var bits = columns[0][i];
+    var descriptor = bits & flags.accessor ?
+        { get: columns[1][i], set: columns[2][i] } :
+        { value: bits & flags.value ? 1 : 0,
+          writable: bits & flags.writable ? 1 : 0 };
+    descriptor.enumerable = bits & flags.enumerable ? 1 : 0;
+    descriptor.configurable = bits & flags.configurable ? 1 : 0;
+    return descriptor;
+  },
+};
+
+// Find the index of id in the sorted array ids, or -1. When opt_order is
+// given, ids are read in its order instead: ids[opt_order[start]], ...; the
+// result is then an index into opt_order.
+function binarySearch(ids, id, opt_start, opt_end, opt_order) {
+  var lo = opt_start || 0;
+  var hi = ( opt_end === undefined ? ids.length : opt_end ) - 1;
+  while ( lo <= hi ) {
+    var mid = ( lo + hi ) >>> 1;
+    var midId = ids[opt_order ? opt_order[mid] : mid];
+    if ( midId < id ) lo = mid + 1;
+    else if ( midId > id ) hi = mid - 1;
+    else return mid;
+  }
+  return -1;
+}
+
+function hasOwn(o, name) {
+  return Object.prototype.hasOwnProperty.call(o, name);
+}
+
+// Get the index of the compacted, undeleted row for id, or -1.
+CompactTable.prototype.getRowIdx_ = function(id) {
+  var r = binarySearch(this.ids_, id);
+  return r !== -1 && ! this.rowDeleted_[r] ? r : -1;
+};
+
+// Get the index of the live entry for name in compacted row r, or -1.
+CompactTable.prototype.getEntryIdx_ = function(r, name) {
+  var nameIdx = this.nameIndex_.get(name);
+  if ( nameIdx === undefined ) return -1;
+  var k = binarySearch(this.entryNames_, nameIdx, this.offsets_[r],
+                       this.offsets_[r + 1], this.byName_);
+  if ( k === -1 ) return -1;
+  var i = this.byName_[k];
+  return this.entryDeleted_[i] ? -1 : i;
+};
+
+CompactTable.prototype.intern_ = function(name) {
+  var idx = this.nameIndex_.get(name);
+  if ( idx === undefined ) {
+    idx = this.names.length;
+    this.names.push(name);
+    this.nameIndex_.set(name, idx);
+  }
+  return idx;
+};
+
+CompactTable.prototype.hasRow = function(id) {
+  return this.pending_.has(id) || this.getRowIdx_(id) !== -1;
+};
+
+// Add an empty row for id, and return it as a plain object of name => value
+// that may be written to until the next compact().
+CompactTable.prototype.addRow = function(id) {
+  console.assert( ! this.hasRow(id), 'Repeated row id');
+  var row = {};
+  this.pending_.set(id, row);
+  return row;
+};
+
+CompactTable.prototype.deleteRow = function(id) {
+  if ( this.pending_.delete(id) ) return;
+  var r = this.getRowIdx_(id);
+  if ( r === -1 ) return;
+  this.rowDeleted_[r] = 1;
+};
+
+// Get ids of all rows, sorted.
+CompactTable.prototype.getRowIds = function() {
+  var ids = [];
+  for ( var r = 0; r < this.ids_.length; r++ ) {
+    if ( ! this.rowDeleted_[r] ) ids.push(this.ids_[r]);
+  }
+  for ( var id of this.pending_.keys() ) ids.push(id);
+  return ids.sort((a, b) => a - b);
+};
+
+// Get the value for name in row id, or undefined.
+CompactTable.prototype.get = function(id, name) {
+  var row = this.pending_.get(id);
+  if ( row ) return hasOwn(row, name) ? row[name] : undefined;
+  var r = this.getRowIdx_(id);
+  if ( r === -1 ) return undefined;
+  var i = this.getEntryIdx_(r, name);
+  return i === -1 ? undefined : this.codec.decode(this.columns_, i);
+};
+
+CompactTable.prototype.has = function(id, name) {
+  var row = this.pending_.get(id);
+  if ( row ) return hasOwn(row, name);
+  var r = this.getRowIdx_(id);
+  return r !== -1 && this.getEntryIdx_(r, name) !== -1;
+};
+
+// Set the value for name in row id, which must exist.
+CompactTable.prototype.set = function(id, name, value) {
+  var r = this.pending_.has(id) ? -1 : this.getRowIdx_(id);
+  var i = r === -1 ? -1 : this.getEntryIdx_(r, name);
+  if ( i !== -1 ) {
+    this.codec.encode(value, this.columns_, i);
+    return;
+  }
+  // New entries go to pending rows.
+  if ( r !== -1 ) this.unpackRow_(r);
+  console.assert(this.pending_.has(id), 'Set on missing row');
+  this.pending_.get(id)[name] = value;
+};
+
+CompactTable.prototype.delete = function(id, name) {
+  var row = this.pending_.get(id);
+  if ( row ) {
+    delete row[name];
+    return;
+  }
+  var r = this.getRowIdx_(id);
+  var i = r === -1 ? -1 : this.getEntryIdx_(r, name);
+  if ( i !== -1 ) this.entryDeleted_[i] = 1;
+};
+
+// Get the names in row id, in the order they were added.
+CompactTable.prototype.getNames = function(id) {
+  var row = this.pending_.get(id);
+  if ( row ) return Object.keys(row);
+  var r = this.getRowIdx_(id);
+  if ( r === -1 ) return [];
+  var names = [];
+  for ( var i = this.offsets_[r]; i < this.offsets_[r + 1]; i++ ) {
+    if ( ! this.entryDeleted_[i] )
+      names.push(this.names[this.entryNames_[i]]);
+  }
+  return names;
+};
+
+// Get row id as a new plain object of name => value, or undefined if there is
+// no such row.
+CompactTable.prototype.getRow = function(id) {
+  var pending = this.pending_.get(id);
+  if ( pending ) return Object.assign({}, pending);
+  var r = this.getRowIdx_(id);
+  if ( r === -1 ) return undefined;
+  var row = {};
+  for ( var i = this.offsets_[r]; i < this.offsets_[r + 1]; i++ ) {
+    if ( this.entryDeleted_[i] ) continue;
+    row[this.names[this.entryNames_[i]]] =
+        this.codec.decode(this.columns_, i);
+  }
+  return row;
+};
+
+// Call f(id, name, value) for every entry.
+CompactTable.prototype.forEach = function(f) {
+  for ( var r = 0; r < this.ids_.length; r++ ) {
+    if ( this.rowDeleted_[r] ) continue;
+    for ( var i = this.offsets_[r]; i < this.offsets_[r + 1]; i++ ) {
+      if ( this.entryDeleted_[i] ) continue;
+      f(this.ids_[r], this.names[this.entryNames_[i]],
+        this.codec.decode(this.columns_, i));
+    }
+  }
+  for ( var [ id, row ] of this.pending_ ) {
+    for ( var name of Object.keys(row) ) f(id, name, row[name]);
+  }
+};
+
+// Move compacted row r to the pending rows.
+CompactTable.prototype.unpackRow_ = function(r) {
+  var id = this.ids_[r];
+  var row = this.getRow(id);
+  this.rowDeleted_[r] = 1;
+  this.pending_.set(id, row);
+};
+
+// Pack pending rows into the arrays, dropping deleted rows and entries.
+CompactTable.prototype.compact = function() {
+  var rows = [];
+  for ( var r = 0; r < this.ids_.length; r++ ) {
+    if ( ! this.rowDeleted_[r] ) rows.push({ id: this.ids_[r], r });
+  }
+  for ( var id of this.pending_.keys() ) {
+    console.assert(id >= 0 && id <= 0xFFFFFFFF, 'Illegal row id');
+    rows.push({ id, r: -1 });
+  }
+  rows.sort((a, b) => a.id - b.id);
+
+  // Collect live entries as [ nameIdx, source ] pairs per row.
+  var entryCount = 0;
+  var rowEntries = rows.map(row => {
+    var entries = [];
+    if ( row.r === -1 ) {
+      var pending = this.pending_.get(row.id);
+      for ( var name of Object.keys(pending) )
+        entries.push([ this.intern_(name), pending[name] ]);
+    } else {
+      for ( var i = this.offsets_[row.r]; i < this.offsets_[row.r + 1]; i++ ) {
+        if ( ! this.entryDeleted_[i] )
+          entries.push([ this.entryNames_[i], i ]);
+      }
+    }
+    entryCount += entries.length;
+    return entries;
+  });
+
+  var ids = new Uint32Array(rows.length);
+  var offsets = new Uint32Array(rows.length + 1);
+  var entryNames = new Uint32Array(entryCount);
+  var columns = this.codec.columns.map(() => new Uint32Array(entryCount));
+  var j = 0;
+  rows.forEach((row, r) => {
+    ids[r] = row.id;
+    offsets[r] = j;
+    for ( var entry of rowEntries[r] ) {
+      entryNames[j] = entry[0];
+      if ( row.r === -1 ) {
+        this.codec.encode(entry[1], columns, j);
+      } else {
+        for ( var c = 0; c < columns.length; c++ )
+          columns[c][j] = this.columns_[c][entry[1]];
+      }
+      j++;
+    }
+  });
+  offsets[rows.length] = j;
+
+  this.ids_ = ids;
+  this.offsets_ = offsets;
+  this.entryNames_ = entryNames;
+  this.columns_ = columns;
+  this.rowDeleted_ = new Uint8Array(rows.length);
+  this.entryDeleted_ = new Uint8Array(entryCount);
+  this.pending_ = new Map();
+  this.indexByName_();
+  return this;
+};
+
+// Compute byName_ from offsets_ and entryNames_.
+CompactTable.prototype.indexByName_ = function() {
+  var byName = this.byName_ = new Uint32Array(this.entryNames_.length);
+  var entryNames = this.entryNames_;
+  for ( var r = 0; r + 1 < this.offsets_.length; r++ ) {
+    var start = this.offsets_[r];
+    var end = this.offsets_[r + 1];
+    for ( var i = start; i < end; i++ ) byName[i] = i;
+    byName.subarray(start, end).sort((a, b) => entryNames[a] - entryNames[b]);
+  }
+};
+
+CompactTable.prototype.clone = function() {
+  var clone = new CompactTable(this.codec);
+  clone.names = this.names.slice();
+  clone.nameIndex_ = new Map(this.nameIndex_);
+  clone.ids_ = this.ids_.slice();
+  clone.offsets_ = this.offsets_.slice();
+  clone.entryNames_ = this.entryNames_.slice();
+  clone.byName_ = this.byName_.slice();
+  clone.columns_ = this.columns_.map(column => column.slice());
+  clone.rowDeleted_ = this.rowDeleted_.slice();
+  clone.entryDeleted_ = this.entryDeleted_.slice();
+  for ( var [ id, row ] of this.pending_ ) {
+    var rowClone = {};
+    for ( var name of Object.keys(row) ) {
+      rowClone[name] = typeof row[name] === 'object' ?
+          Object.assign({}, row[name]) : row[name];
+    }
+    clone.pending_.set(id, rowClone);
+  }
+  return clone;
+};
+
+// Get a copy of this table with every name replaced by f(name).
+CompactTable.prototype.mapNames = function(f) {
+  var table = new CompactTable(this.codec);
+  for ( var id of this.getRowIds() ) table.addRow(id);
+  this.forEach((id, name, value) => table.set(id, f(name), value));
+  return table.compact();
+};
+
+// Serialize as { names, ids, offsets, entryNames, columns }, with arrays of
+// numbers in place of typed arrays.
+CompactTable.prototype.toJSON = function() {
+  var table = this.pending_.size > 0 || this.rowDeleted_.some(Boolean) ||
+      this.entryDeleted_.some(Boolean) ? this.clone().compact() : this;
+  return {
+    names: table.names,
+    ids: Array.from(table.ids_),
+    offsets: Array.from(table.offsets_),
+    entryNames: Array.from(table.entryNames_),
+    columns: table.columns_.map(column => Array.from(column)),
+  };
+};
+
+// Load a table serialized by toJSON(), or stored as nested plain objects,
+// { id: { name: value } }, as graphs were before compact storage. Tables are
+// cloned.
+CompactTable.fromJSON = function(json, codec) {
+  if ( json instanceof CompactTable ) return json.clone();
+  var table = new CompactTable(codec);
+  if ( ! json ) return table;
+  if ( ! Array.isArray(json.offsets) ) {
+    for ( var strId of Object.keys(json) ) {
+      var row = table.addRow(parseInt(strId));
+      var values = json[strId];
+      for ( var name of Object.keys(values) ) {
+        row[name] = typeof values[name] === 'object' ?
+            Object.assign({}, values[name]) : values[name];
+      }
+    }
+    return table.compact();
+  }
+  table.names = json.names.slice();
+  table.names.forEach((name, idx) => table.nameIndex_.set(name, idx));
+  table.ids_ = Uint32Array.from(json.ids);
+  table.offsets_ = Uint32Array.from(json.offsets);
+  table.entryNames_ = Uint32Array.from(json.entryNames);
+  table.columns_ = json.columns.map(column => Uint32Array.from(column));
+  table.rowDeleted_ = new Uint8Array(table.ids_.length);
+  table.entryDeleted_ = new Uint8Array(table.entryNames_.length);
+  table.indexByName_();
+  return table;
+};
+
+module.exports = CompactTable;
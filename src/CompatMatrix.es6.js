@@ -0,0 +1,185 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const NameRewriter = require('./NameRewriter.js');
+
+// Table of which graphs support each key found in any of them. Columns are
+// graphs, labeled by browser and platform (see
+// NameRewriter.prototype.userAgentAsPlatformInfo), and sorted by browser name
+// and version. Supported options:
+//   match: Graph matcher (e.g., analysis.anyAnyGraphMatcher); an object is
+//          also supported by graphs that match it under a different key.
+//   labels: Column labels to use in place of user agent-derived labels.
+//   nameRewriter: NameRewriter used to parse user agents.
+function CompatMatrix(graphs, opts) {
+  opts = opts || {};
+  this.match = opts.match || null;
+  this.nameRewriter = opts.nameRewriter || new NameRewriter();
+
+  const columns = graphs.map((graph, i) => Object.assign(
+      { graph }, this.describeGraph_(graph, opts.labels && opts.labels[i])));
+  columns.sort(CompatMatrix.compareColumns);
+  this.graphs = columns.map(column => column.graph);
+  this.columns = columns.map(column => {
+    delete column.graph;
+    return column;
+  });
+  // Map of key => [ supported in graph i ].
+  this.rows = this.computeRows_();
+}
+
+CompatMatrix.compareColumns = function(a, b) {
+  const nameA = a.browser ? a.browser.name : '';
+  const nameB = b.browser ? b.browser.name : '';
+  if ( nameA !== nameB ) return nameA < nameB ? -1 : 1;
+  if ( a.browser && b.browser ) {
+    const diff = NameRewriter.compareVersions(
+        a.browser.version, b.browser.version);
+    if ( diff !== 0 ) return diff;
+  }
+  return a.label < b.label ? -1 : a.label > b.label ? 1 : 0;
+};
+
+// Get { label, browser, platform } for graph.
+CompatMatrix.prototype.describeGraph_ = function(graph, opt_label) {
+  const info = graph.userAgent ?
+      this.nameRewriter.userAgentAsPlatformInfo(graph.userAgent) :
+      { browser: null, platform: null };
+  const format = nameVersion => nameVersion ?
+      `${nameVersion.name} ${nameVersion.version}` : 'Unknown';
+  return {
+    label: opt_label ||
+        `${format(info.browser)} (${format(info.platform)})`,
+    browser: info.browser,
+    platform: info.platform,
+  };
+};
+
+CompatMatrix.prototype.computeRows_ = function() {
+  const graphs = this.graphs;
+  const keysMaps = graphs.map(graph => graph.getAllKeysMap());
+  // Cache matcher results per object: many keys refer to the same one.
+  const matched = graphs.map(() => new Map());
+  const isMatched = (i, id, j) => {
+    let results = matched[i].get(id);
+    if ( ! results ) matched[i].set(id, results = []);
+    if ( results[j] === undefined )
+      results[j] = this.match(id, graphs[i], graphs[j]);
+    return results[j];
+  };
+
+  const rows = {};
+  keysMaps.forEach((keysMap, i) => {
+    for ( const key of Object.keys(keysMap) ) {
+      if ( rows.hasOwnProperty(key) ) continue;
+      const id = graphs[i].lookupKey(key);
+      const isObject = id !== null && ! graphs[i].isType(id);
+      rows[key] = keysMaps.map((otherKeysMap, j) => {
+        if ( otherKeysMap[key] ) return true;
+        return !! ( this.match && isObject && isMatched(i, id, j) );
+      });
+    }
+  });
+  return rows;
+};
+
+// Get sorted list of keys in the table.
+CompatMatrix.prototype.getKeys = function() {
+  return Object.keys(this.rows).sort();
+};
+
+// Get { label: supported } for key, or null if no graph has key.
+CompatMatrix.prototype.getSupport = function(key) {
+  if ( ! this.rows.hasOwnProperty(key) ) return null;
+  const support = {};
+  this.columns.forEach((column, i) => support[column.label] =
+      this.rows[key][i]);
+  return support;
+};
+
+CompatMatrix.prototype.toJSON = function() {
+  const rows = {};
+  for ( const key of this.getKeys() ) rows[key] = this.rows[key];
+  return { columns: this.columns, rows };
+};
+
+function csvField(str) {
+  str = String(str);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+CompatMatrix.prototype.toCSV = function() {
+  const lines = [
+    [ 'key' ].concat(this.columns.map(column => column.label))
+        .map(csvField).join(','),
+  ];
+  for ( const key of this.getKeys() ) {
+    lines.push([ key ].concat(this.rows[key].map(supported =>
+        supported ? 'yes' : 'no')).map(csvField).join(','));
+  }
+  return lines.join('\n') + '\n';
+};
+
+function escapeHTML(str) {
+  return String(str).replace(/[&<>"']/g, c => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&#39;',
+  })[c]);
+}
+
+// Render a standalone HTML page containing the table.
+CompatMatrix.prototype.toHTML = function(opt_title) {
+  const title = escapeHTML(opt_title || 'API compatibility');
+  const header = this.columns.map(column =>
+      `<th>${escapeHTML(column.label)}</th>`).join('');
+  const rows = this.getKeys().map(key => {
+    const cells = this.rows[key].map(supported => supported ?
+        '<td class="yes">&#10003;</td>' : '<td class="no">&#10007;</td>')
+        .join('');
+    return `<tr><th>${escapeHTML(key)}</th>${cells}</tr>`;
+  }).join('\n');
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+table { border-collapse: collapse; font-family: sans-serif; font-size: 12px; }
+th, td { border: 1px solid #ccc; padding: 2px 4px; }
+tbody th { text-align: left; font-family: monospace; font-weight: normal; }
+td.yes { background: #cfc; text-align: center; }
+td.no { background: #fcc; text-align: center; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<table>
+<thead><tr><th>Key</th>${header}</tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+};
+
+module.exports = CompatMatrix;
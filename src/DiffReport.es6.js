@@ -0,0 +1,99 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Typed list of differences between two object graphs, as produced by
+// analysis.diff(). Each entry is of the form { type, key[, from, to] }, where
+// key is a complete key (see ObjectGraph.prototype.getKeys). Descriptor
+// changes also name the descriptor attribute that changed.
+function DiffReport(entries) {
+  this.entries = entries || [];
+}
+
+// Entry types, and how they are rendered by .toString().
+DiffReport.types = {
+  OBJECT_ADDED: 'object-added',
+  OBJECT_REMOVED: 'object-removed',
+  PROPERTY_ADDED: 'property-added',
+  PROPERTY_REMOVED: 'property-removed',
+  TYPE_CHANGED: 'type-changed',
+  VALUE_CHANGED: 'value-changed',
+  PROTOTYPE_CHANGED: 'prototype-changed',
+  FUNCTION_NAME_CHANGED: 'function-name-changed',
+  DESCRIPTOR_CHANGED: 'descriptor-changed',
+};
+DiffReport.prefixes = {
+  'object-added': '+ object',
+  'object-removed': '- object',
+  'property-added': '+ property',
+  'property-removed': '- property',
+  'type-changed': '~ type',
+  'value-changed': '~ value',
+  'prototype-changed': '~ prototype',
+  'function-name-changed': '~ function name',
+  'descriptor-changed': '~ descriptor',
+};
+
+DiffReport.prototype.add = function(entry) {
+  console.assert(DiffReport.prefixes[entry.type],
+                 `Unknown diff entry type: ${entry.type}`);
+  this.entries.push(entry);
+  return this;
+};
+
+// Get entries of the given type.
+DiffReport.prototype.filter = function(type) {
+  return this.entries.filter(entry => entry.type === type);
+};
+
+DiffReport.prototype.isEmpty = function() {
+  return this.entries.length === 0;
+};
+
+// Sort entries by key, then type, for stable output.
+DiffReport.prototype.sort = function() {
+  this.entries.sort((a, b) => {
+    if ( a.key !== b.key ) return a.key < b.key ? -1 : 1;
+    if ( a.type !== b.type ) return a.type < b.type ? -1 : 1;
+    return 0;
+  });
+  return this;
+};
+
+DiffReport.prototype.toJSON = function() {
+  return { entries: this.entries };
+};
+
+DiffReport.fromJSON = function(o) {
+  return new DiffReport(o.entries.slice());
+};
+
+// Render one line per entry; e.g.,
+//   + property window.Foo.prototype.bar
+//   ~ type window.Foo.BAZ: number -> string
+//   ~ value window.Foo.QUX: 1 -> 2
+//   ~ descriptor window.Foo.prototype.qux [readonly]: false -> true
+DiffReport.prototype.toString = function() {
+  return this.entries.map(entry => {
+    let line = `${DiffReport.prefixes[entry.type]} ${entry.key}`;
+    if ( entry.attribute ) line += ` [${entry.attribute}]`;
+    if ( ! entry.hasOwnProperty('from') ) return line;
+    return `${line}: ${entry.from} -> ${entry.to}`;
+  }).join('\n');
+};
+
+module.exports = DiffReport;
@@ -0,0 +1,77 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Glob-style pattern over dot-separated keys. E.g., "window.HTML*.**":
+//   "**" as a whole part matches any number (including zero) of key parts;
+//        as the last part, at least one, so "window.a.**" matches the keys
+//        below window.a, but not window.a itself.
+//   "*" within a part matches any run of characters, but never a ".".
+function KeyPattern(pattern) {
+  this.pattern = pattern;
+  this.parts = pattern.split('.').map(part => {
+    if ( part === KeyPattern.ANY_PARTS ) return KeyPattern.ANY_PARTS;
+    const source = part.split('*')
+        .map(str => str.replace(/[\\^$+?.()|[\]{}]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${source}$`);
+  });
+}
+
+KeyPattern.ANY_PARTS = '**';
+
+// Does key match the pattern?
+KeyPattern.prototype.matches = function(key) {
+  return this.match_(key.split('.'), false);
+};
+
+// Could some key that extends key (i.e., key + '.' + ...) match the pattern?
+// Keys for which this holds must be traversed to reach matching keys.
+KeyPattern.prototype.canMatchBelow = function(key) {
+  return this.match_(key.split('.'), true);
+};
+
+KeyPattern.prototype.match_ = function(keyParts, below) {
+  const parts = this.parts;
+  // memo[i][j]: result for parts[i...] against keyParts[j...].
+  const memo = parts.map(() => []);
+  const last = parts.length - 1;
+  const match = (i, j) => {
+    if ( j === keyParts.length ) {
+      if ( below ) return i < parts.length;
+      for ( ; i < parts.length; i++ ) {
+        if ( parts[i] !== KeyPattern.ANY_PARTS || i === last ) return false;
+      }
+      return true;
+    }
+    if ( i === parts.length ) return false;
+    if ( memo[i][j] !== undefined ) return memo[i][j];
+    // A trailing "**" matches the (one or more) key parts that remain.
+    if ( i === last && parts[i] === KeyPattern.ANY_PARTS ) return true;
+    const result = parts[i] === KeyPattern.ANY_PARTS ?
+        match(i + 1, j) || match(i, j + 1) :
+        parts[i].test(keyParts[j]) && match(i + 1, j + 1);
+    return memo[i][j] = result;
+  };
+  return match(0, 0);
+};
+
+KeyPattern.prototype.toString = function() {
+  return this.pattern;
+};
+
+module.exports = KeyPattern;
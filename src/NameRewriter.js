@@ -18,12 +18,28 @@
 
 var NameRewriter = function(opts) {
   opts = opts || {};
+  // Names that cannot safely be used as plain object keys, and so are escaped
+  // by rewriteName().
+  this.escapedNames = new Set(opts.escapedNames ||
+      Object.getOwnPropertyNames(Object.prototype));
+  // Rewrites of the legacy encoding, name => "+name+"; only used to decode
+  // graphs serialized with it. See decodeLegacyName().
   this.rewrites = opts.rewrites ||
       Object.getOwnPropertyNames(Object.prototype).map(function(name) {
         return [ name, '+' + name + '+' ];
       });
+  this.legacyNames_ = new Map(this.rewrites.map(function(rewrite) {
+    return [ rewrite[1], rewrite[0] ];
+  }));
   this.browsers = opts.browsers || this.browsers.slice();
   this.platforms = opts.platforms || this.platforms.slice();
+  this.engines = opts.engines || this.engines.slice();
+  this.deviceClasses = opts.deviceClasses || this.deviceClasses.slice();
+  this.architectures = opts.architectures || this.architectures.slice();
+  this.clientHintBrands = opts.clientHintBrands ||
+      this.clientHintBrands.slice();
+  this.clientHintPlatforms = opts.clientHintPlatforms ||
+      Object.assign({}, this.clientHintPlatforms);
 };
 
 // Some user agents will match multiple patterns. The first match will be used,
@@ -110,37 +126,306 @@ NameRewriter.prototype.platforms = [
   },
 ];
 
-NameRewriter.prototype.rewriteName = function(name) {
-  for ( var i = 0; i < this.rewrites.length; i++ ) {
-    if ( name === this.rewrites[i][0] ) return this.rewrites[i][1];
+// Rendering engines, matched like browsers. Every browser on iOS uses WebKit,
+// so the generic AppleWebKit pattern comes last.
+NameRewriter.prototype.engines = [
+  {
+    name: 'Trident',
+    re: /(Trident)\/([0-9_.]+)/,
+  },
+  {
+    name: 'EdgeHTML',
+    re: /(Edge)\/([0-9_.]+)/,
+  },
+  {
+    // Blink versions follow Chromium versions.
+    name: 'Blink',
+    re: /(Chrome)\/([0-9_.]+)/,
+  },
+  {
+    name: 'Gecko',
+    re: /(rv):([0-9_.]+)\) Gecko\//,
+  },
+  {
+    name: 'WebKit',
+    re: /(AppleWebKit)\/([0-9_.]+)/,
+  },
+];
+
+// Device classes and architectures are matched in order, by name only.
+NameRewriter.prototype.deviceClasses = [
+  {
+    name: 'tv',
+    re: /SmartTV|SMART-TV|CrKey|AppleTV|Web0S/,
+  },
+  {
+    name: 'tablet',
+    re: /iPad|Tablet|PlayBook|Android(?!.*Mobile)/,
+  },
+  {
+    name: 'mobile',
+    re: /Mobi|iPhone|iPod|Android/,
+  },
+  {
+    name: 'desktop',
+    re: /Windows NT|Macintosh|X11|CrOS/,
+  },
+];
+
+NameRewriter.prototype.architectures = [
+  {
+    name: 'arm64',
+    re: /aarch64|arm64|ARM64/,
+  },
+  {
+    name: 'arm',
+    re: /armv?[0-9]|ARM/,
+  },
+  {
+    name: 'x86_64',
+    re: /x86_64|x64|Win64|WOW64|amd64|Intel Mac OS X/,
+  },
+  {
+    name: 'x86',
+    re: /i[3-6]86|x86/,
+  },
+];
+
+// Browser names for navigator.userAgentData brands, in order of preference;
+// most Chromium-based browsers also list "Chromium".
+NameRewriter.prototype.clientHintBrands = [
+  { name: 'Edge', brand: 'Microsoft Edge' },
+  { name: 'Opera', brand: 'Opera' },
+  { name: 'Yandex', brand: 'Yandex' },
+  { name: 'Samsung', brand: 'Samsung Internet' },
+  { name: 'Chrome', brand: 'Google Chrome' },
+  { name: 'Chrome', brand: 'Chromium' },
+];
+
+// Platform names for navigator.userAgentData platforms that differ from those
+// in NameRewriter.prototype.platforms.
+NameRewriter.prototype.clientHintPlatforms = {
+  'macOS': 'OSX',
+  'Chrome OS': 'ChromeOS',
+};
+
+// Symbol-keyed properties are named by strings:
+//   Well-known symbols: "@@" + name; e.g., "@@iterator".
+//   Registered symbols: "@@for:" + key; e.g., "@@for:app%2Eid" for
+//                       Symbol.for('app.id').
+//   Other symbols:      "@@symbol:" + description. Where an object has several
+//                       such symbols with the same description, all but the
+//                       first are suffixed "#2", "#3", and so on, in property
+//                       order; see symbolsToNames().
+// "." and "%" are escaped as "%2E" and "%25" so that names can be joined into
+// dot-separated keys; "#" is escaped as "%23" so that suffixes are
+// unambiguous. String keys that start with "@@" are named
+// "@@string:" + key, so that they cannot be mistaken for symbols.
+NameRewriter.SYMBOL_PREFIX = '@@';
+NameRewriter.REGISTERED_SYMBOL_PREFIX = '@@for:';
+NameRewriter.CUSTOM_SYMBOL_PREFIX = '@@symbol:';
+NameRewriter.STRING_PREFIX = '@@string:';
+
+// Names are stored by rewriteName() as themselves, or, when they are escaped
+// names or start with ESCAPE_PREFIX, as ESCAPE_PREFIX + name. Encoded names
+// that start with ESCAPE_PREFIX are exactly the escaped ones, so
+// unrewriteName() inverts rewriteName() by dropping one ESCAPE_PREFIX.
+// Graphs record the NAME_ENCODING they were stored with; those without one
+// use the legacy "+name+" encoding.
+NameRewriter.ESCAPE_PREFIX = '+';
+NameRewriter.NAME_ENCODING = 2;
+
+// Map of well-known symbol <=> name, in both directions.
+NameRewriter.prototype.wellKnownSymbols = (function() {
+  var map = new Map();
+  if ( typeof Symbol !== 'function' ) return map;
+  Object.getOwnPropertyNames(Symbol).forEach(function(name) {
+    if ( typeof Symbol[name] !== 'symbol' ) return;
+    map.set(Symbol[name], NameRewriter.SYMBOL_PREFIX + name);
+    map.set(NameRewriter.SYMBOL_PREFIX + name, Symbol[name]);
+  });
+  return map;
+})();
+
+function escapeSymbolDescription(str) {
+  return str.replace(/[%.#]/g, function(c) {
+    return c === '%' ? '%25' : c === '.' ? '%2E' : '%23';
+  });
+}
+
+function unescapeSymbolDescription(str) {
+  return str.replace(/%(25|2E|23)/g, function(match, code) {
+    return code === '25' ? '%' : code === '2E' ? '.' : '#';
+  });
+}
+
+// Get the string name of a symbol-keyed property.
+NameRewriter.prototype.symbolToName = function(sym) {
+  if ( this.wellKnownSymbols.has(sym) ) return this.wellKnownSymbols.get(sym);
+  var key = Symbol.keyFor(sym);
+  if ( key !== undefined ) {
+    return NameRewriter.REGISTERED_SYMBOL_PREFIX +
+        escapeSymbolDescription(key);
   }
+  var description = sym.description !== undefined ? sym.description :
+      String(sym).slice('Symbol('.length, -1);
+  return NameRewriter.CUSTOM_SYMBOL_PREFIX +
+      escapeSymbolDescription(description || '');
+};
+
+// Get a map of symbol => name for symbols, the symbol-keyed properties of one
+// object, in property order. Unlike symbolToName(), names are unique.
+NameRewriter.prototype.symbolsToNames = function(symbols) {
+  var map = new Map();
+  var counts = {};
+  for ( var i = 0; i < symbols.length; i++ ) {
+    var name = this.symbolToName(symbols[i]);
+    counts[name] = ( counts[name] || 0 ) + 1;
+    map.set(symbols[i], counts[name] === 1 ? name : name + '#' + counts[name]);
+  }
+  return map;
+};
+
+// Get the string name of a property key, which may be a symbol.
+NameRewriter.prototype.keyToName = function(key) {
+  if ( typeof key === 'symbol' ) return this.symbolToName(key);
+  return key.startsWith(NameRewriter.SYMBOL_PREFIX) ?
+      NameRewriter.STRING_PREFIX + key : key;
+};
+
+// Inverse of keyToName(). Return null for names of symbols that cannot be
+// recovered by name (i.e., symbols that are neither well-known nor
+// registered).
+NameRewriter.prototype.nameToKey = function(name) {
+  if ( ! name.startsWith(NameRewriter.SYMBOL_PREFIX) ) return name;
+  if ( name.startsWith(NameRewriter.STRING_PREFIX) )
+    return name.substr(NameRewriter.STRING_PREFIX.length);
+  if ( this.wellKnownSymbols.has(name) ) return this.wellKnownSymbols.get(name);
+  if ( name.startsWith(NameRewriter.REGISTERED_SYMBOL_PREFIX) ) {
+    return Symbol.for(unescapeSymbolDescription(
+        name.substr(NameRewriter.REGISTERED_SYMBOL_PREFIX.length)));
+  }
+  if ( name.startsWith(NameRewriter.CUSTOM_SYMBOL_PREFIX) ) return null;
   return name;
 };
 
+// Encode a name (see keyToName()) for storage as a plain object key. Symbols
+// are accepted in place of their names.
+NameRewriter.prototype.rewriteName = function(name) {
+  if ( typeof name === 'symbol' ) name = this.symbolToName(name);
+  if ( name.startsWith(NameRewriter.ESCAPE_PREFIX) ||
+       this.escapedNames.has(name) )
+    return NameRewriter.ESCAPE_PREFIX + name;
+  return name;
+};
+
+// Inverse of rewriteName().
 NameRewriter.prototype.unrewriteName = function(name) {
-  for ( var i = 0; i < this.rewrites.length; i++ ) {
-    if ( name === this.rewrites[i][1] ) return this.rewrites[i][0];
+  return name.startsWith(NameRewriter.ESCAPE_PREFIX) ?
+      name.substr(NameRewriter.ESCAPE_PREFIX.length) : name;
+};
+
+// Decode a name stored with the legacy "+name+" encoding.
+NameRewriter.prototype.decodeLegacyName = function(name) {
+  return this.legacyNames_.has(name) ? this.legacyNames_.get(name) : name;
+};
+
+// Compare dot-separated version strings numerically; e.g., "9.1" < "10.0".
+// Missing parts count as zero. Return <0, 0 or >0, as for Array.sort().
+NameRewriter.compareVersions = function(a, b) {
+  var partsA = String(a).split('.');
+  var partsB = String(b).split('.');
+  for ( var i = 0; i < Math.max(partsA.length, partsB.length); i++ ) {
+    var diff = ( parseInt(partsA[i]) || 0 ) - ( parseInt(partsB[i]) || 0 );
+    if ( diff !== 0 ) return diff;
   }
-  return name;
+  return 0;
 };
 
+// Get { name, version } from the first of matchers whose re matches uaStr,
+// taking the version from the second group; null if none matches.
+function findMatch(matchers, uaStr) {
+  for ( var i = 0; i < matchers.length; i++ ) {
+    var matcher = matchers[i];
+    var match;
+    if ( ( match = uaStr.match(matcher.re) ) !== null )
+    return {
+      name: matcher.name,
+      version: match[2].replace(/_/g, '.'),
+    };
+  }
+  return null;
+}
+
+// Get the name of the first of matchers whose re matches uaStr, or null.
+function findName(matchers, uaStr) {
+  for ( var i = 0; i < matchers.length; i++ ) {
+    if ( matchers[i].re.test(uaStr) ) return matchers[i].name;
+  }
+  return null;
+}
+
 NameRewriter.prototype.userAgentAsPlatformInfo = function(uaStr) {
-  function findMatch(matchers) {
-    for ( var i = 0; i < matchers.length; i++ ) {
-      var matcher = matchers[i];
-      var match;
-      if ( ( match = uaStr.match(matcher.re) ) !== null )
-      return {
-        name: matcher.name,
-        version: match[2].replace(/_/g, '.'),
-      };
+  return {
+    browser: findMatch(this.browsers, uaStr),
+    platform: findMatch(this.platforms, uaStr),
+  };
+};
+
+// Get structured information about a user agent:
+//   { browser, platform, engine: { name, version } or null,
+//     deviceClass: "mobile", "tablet", "desktop", "tv" or null,
+//     architecture: "x86", "x86_64", "arm", "arm64" or null }
+// opt_userAgentData, high-entropy values from
+// navigator.userAgentData.getHighEntropyValues(), takes precedence over
+// uaStr, whose versions and platform details may be frozen.
+NameRewriter.prototype.userAgentAsEnvironmentInfo = function(
+    uaStr, opt_userAgentData) {
+  var info = this.userAgentAsPlatformInfo(uaStr);
+  info.engine = findMatch(this.engines, uaStr);
+  info.deviceClass = findName(this.deviceClasses, uaStr);
+  info.architecture = findName(this.architectures, uaStr);
+  if ( opt_userAgentData ) this.applyClientHints_(info, opt_userAgentData);
+  return info;
+};
+
+NameRewriter.prototype.applyClientHints_ = function(info, data) {
+  var brands = data.fullVersionList || data.brands || [];
+  var findBrand = function(brand) {
+    for ( var i = 0; i < brands.length; i++ ) {
+      if ( brands[i].brand === brand ) return brands[i];
     }
     return null;
-  }
-  return {
-    browser: findMatch(this.browsers),
-    platform: findMatch(this.platforms),
   };
+  for ( var i = 0; i < this.clientHintBrands.length; i++ ) {
+    var brand = findBrand(this.clientHintBrands[i].brand);
+    if ( brand === null ) continue;
+    info.browser = { name: this.clientHintBrands[i].name,
+                     version: brand.version };
+    break;
+  }
+  var chromium = findBrand('Chromium');
+  if ( chromium !== null )
+    info.engine = { name: 'Blink', version: chromium.version };
+
+  if ( data.platform ) {
+    info.platform = {
+      name: this.clientHintPlatforms[data.platform] || data.platform,
+      version: data.platformVersion ||
+          ( info.platform ? info.platform.version : '' ),
+    };
+  }
+  if ( data.mobile === true && info.deviceClass !== 'tablet' )
+    info.deviceClass = 'mobile';
+  else if ( data.mobile === false && info.deviceClass === 'mobile' )
+    info.deviceClass = 'desktop';
+  if ( data.architecture ) {
+    var is64Bit = data.bitness === '64';
+    info.architecture = data.architecture === 'x86' ?
+        ( is64Bit ? 'x86_64' : 'x86' ) :
+        data.architecture === 'arm' ? ( is64Bit ? 'arm64' : 'arm' ) :
+        data.architecture;
+  }
 };
 
 module.exports = NameRewriter;
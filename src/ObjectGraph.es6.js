@@ -21,6 +21,9 @@ var stdlib = require('ya-stdlib-js');
 var remap = stdlib.remap;
 var NameRewriter = require('./NameRewriter.js');
 var TaskQueue = require('./TaskQueue.js');
+var CaptureHandle = require('./CaptureHandle.es6.js');
+var CompactTable = require('./CompactTable.es6.js');
+var KeyPattern = require('./KeyPattern.es6.js');
 var emptyArray = [];
 
 // Object identity and/or primitive type data storage.
@@ -30,10 +33,10 @@ function ObjectGraph(opts) {
 };
 
 function cloneDeep(obj) {
-  if ( typeof obj !== 'object' ) {
+  if ( obj === null || typeof obj !== 'object' ) {
     return obj;
   }
-  var newObject = {};
+  var newObject = Array.isArray(obj) ? [] : {};
   var properties = Object.keys(obj);
   for ( var i = 0; i < properties.length; i++ ) {
     newObject[properties[i]] = cloneDeep(obj[properties[i]]);
@@ -42,21 +45,54 @@ function cloneDeep(obj) {
 };
 
 ObjectGraph.prototype.init = function(opts) {
-  this.q = new TaskQueue(opts);
+  // Each capture gets fresh task queues built from these options.
+  // opts.scheduler controls how captures are sliced; see Scheduler.js.
+  this.queueOpts = opts.queueOpts || {
+    maxDequeueSize: opts.maxDequeueSize,
+    onTick: opts.onTick,
+    onDone: opts.onDone,
+    async: opts.async,
+    scheduler: opts.scheduler,
+  };
+  this.q = new TaskQueue(this.queueOpts);
   // TODO: make instance explorer into a plugin or extension.
-  this.instanceQueue = new TaskQueue();
+  this.instanceQueue = new TaskQueue({ scheduler: this.queueOpts.scheduler });
   this.busy = false;
+  this.lastCapture_ = null;
   this.blacklistedObjects = opts.blacklistedObjects ||
     this.blacklistedObjects.slice();
   this.nameRewriter = opts.nameRewriter || new NameRewriter();
   this.keysCache = opts.keysCache || {};
+  // Keep at most this many keys per id, the first in getKeys() order, in
+  // getKeys(), getAllKeys() and getAllKeysMap().
+  this.maxKeysPerId = opts.maxKeysPerId || Infinity;
+  // Visit getter and setter functions, storing their ids in metadata in place
+  // of the usual 0/1 flags.
+  this.captureAccessors = opts.captureAccessors || false;
+  // Visit symbol-keyed properties; see NameRewriter for how they are named.
+  this.captureSymbols = !! opts.captureSymbols;
+  // Store primitive values, not just their types. Either true, for default
+  // limits, or an object overriding some of ObjectGraph.VALUE_LIMITS.
+  this.captureValues = opts.captureValues ?
+      Object.assign({}, ObjectGraph.VALUE_LIMITS,
+                    opts.captureValues === true ? {} : opts.captureValues) :
+      false;
 
   // Try to prevent recursion into internal structures.
   this.blacklistedObjects.push(this);
 
-  // No default userAgent or environment.
+  // No default userAgent. Without an environment, captures derive one from
+  // userAgent; see runCapture_().
   this.userAgent = null;
-  this.environment = null;
+  this.environment = opts.environment || null;
+  // Which source graphs contributed each object and property, for graphs
+  // built by merging; see initProvenance().
+  this.provenance = null;
+  // What scripts added, overwrote or deleted, compared to a pristine realm;
+  // see getPollution().
+  this.pollution = null;
+  // How property names are encoded in data; see NameRewriter.
+  this.nameEncoding = NameRewriter.NAME_ENCODING;
 };
 
 // Map of primitive types (leaves in object graph).
@@ -83,7 +119,8 @@ ObjectGraph.prototype.blacklistedKeys = [
   '$UID__',  // TODO: Upstream id-js to FOAM so we don't have two unique ids.
   ];
 // Never visit/store these objects. Defaults to some known namespace polluters
-// that we rely on.
+// that we rely on. See pollution.es6.js for finding polluters by comparison
+// with a pristine realm.
 // TODO: File bugs against offenders!
 ObjectGraph.prototype.blacklistedObjects = [
   '_', // lodash.
@@ -111,6 +148,29 @@ ObjectGraph.OBJECT_CTOR_REG_EXP =
     /^\[object ([A-Za-z_$][0-9A-Za-z_$]*)\]$/;
 ObjectGraph.OBJECT_CTOR_NAME_MATCH_IDX = 1;
 ObjectGraph.CTOR_SUFFIX = 'Constructor';
+ObjectGraph.NATIVE_CODE_REG_EXP = /\{\s*\[native code\]\s*\}\s*$/;
+ObjectGraph.BOUND_NAME_PREFIX = 'bound ';
+// Function kinds, by Object.prototype.toString() tag.
+ObjectGraph.FUNCTION_KINDS_BY_TAG = {
+  '[object AsyncFunction]': 'async',
+  '[object GeneratorFunction]': 'generator',
+  '[object AsyncGeneratorFunction]': 'asyncGenerator',
+};
+// Default limits for captureValues:
+//   maxStringLength: Longer strings are truncated to this length.
+//   maxCount: No more values are stored once this many have been.
+ObjectGraph.VALUE_LIMITS = {
+  maxStringLength: 256,
+  maxCount: 100000,
+};
+// Maximum number of keys recorded per reason when a capture is truncated.
+ObjectGraph.MAX_TRUNCATED_KEYS = 100;
+// Key parts that refer to the getter or setter of the preceding property;
+// e.g., "window.Node.prototype.nodeType.[[Get]]".
+ObjectGraph.ACCESSOR_KEYS = {
+  get: '[[Get]]',
+  set: '[[Set]]',
+};
 
 ObjectGraph.prototype.initLazyData = function() {
   stdlib.memo(this, 'invTypes', () => {
@@ -122,31 +182,38 @@ ObjectGraph.prototype.initLazyData = function() {
     }
     return invTypes;
   });
-  stdlib.memo(this, 'invData',
-              remap['a:b:c=>c:b:[a]'].bind(this, this.data));
-  stdlib.memo(this, 'namedData',
-              remap['a:b:c=>b:[(a,c)]'].bind(this, this.data));
+  stdlib.memo(this, 'invData', this.getInvData_.bind(this));
   stdlib.memo(this, 'invProtos',
               remap['a:b=>b:[a]'].bind(this, this.protos));
+  stdlib.memo(this, 'invAccessors', this.getInvAccessors_.bind(this));
   stdlib.memo(this, 'allIds_', this.getAllIds_.bind(this));
+  this.initLazyKeys_();
+};
+
+// Flush lazily computed keys. Keys depend on every path from root, so they
+// are recomputed, rather than updated, when the graph changes. So is
+// namedData, which is seldom used.
+ObjectGraph.prototype.initLazyKeys_ = function() {
+  stdlib.memo(this, 'namedData', this.getNamedData_.bind(this));
+  stdlib.memo(this, 'keyTree_', this.getKeyTree_.bind(this));
   stdlib.memo(this, 'allKeys_', this.getAllKeys_.bind(this));
   stdlib.memo(this, 'allKeysMap_', this.getAllKeysMap_.bind(this));
 
-
   this.keysCache = {};
 };
 
+// Data (property edges, name => id) and metadata (property descriptors) are
+// stored in CompactTables. During capture, rows are written as plain objects;
+// they are packed when the capture finishes.
 ObjectGraph.prototype.storeObject = function(id) {
-  console.assert( ! this.data[id], 'Repeated store-id');
+  console.assert( ! this.data.hasRow(id), 'Repeated store-id');
   console.assert(typeof id === 'number', 'Illegal object id');
-  this.data[id] = {};
-  return this.data[id];
+  return this.data.addRow(id);
 };
 
 ObjectGraph.prototype.storeMetadata = function(id) {
-  console.assert( ! this.metadata[id], 'Repeated store-metadata-id');
-  this.metadata[id] = {};
-  return this.metadata[id];
+  console.assert( ! this.metadata.hasRow(id), 'Repeated store-metadata-id');
+  return this.metadata.addRow(id);
 };
 
 ObjectGraph.prototype.storeToString = function(oId, o) {
@@ -156,6 +223,29 @@ ObjectGraph.prototype.storeToString = function(oId, o) {
   } catch (e) {}
 };
 
+// Store the value of primitive o[name].
+ObjectGraph.prototype.storeValue = function(oId, name, value) {
+  if ( this.valueCount_ >= this.captureValues.maxCount ) return;
+  var type = typeof value;
+  if ( type === 'string' ) {
+    var maxLength = this.captureValues.maxStringLength;
+    if ( value.length > maxLength )
+      value = { truncated: value.substr(0, maxLength), length: value.length };
+  } else if ( type === 'number' ) {
+    // JSON cannot represent these.
+    if ( ! isFinite(value) ) value = String(value);
+    else if ( Object.is(value, -0) ) value = '-0';
+  } else if ( type === 'symbol' ) {
+    value = this.nameRewriter.symbolToName(value);
+  } else if ( type !== 'boolean' ) {
+    // Type alone identifies undefined and null.
+    return;
+  }
+  this.values[oId] = this.values[oId] || {};
+  this.values[oId][name] = value;
+  this.valueCount_++;
+};
+
 ObjectGraph.prototype.storeProto = function(oId, protoId) {
   console.assert( ! this.protos[oId], 'Repeated store-proto');
   this.protos[oId] = protoId;
@@ -170,7 +260,14 @@ ObjectGraph.prototype.getNameFromConstructor = function(o) {
     return '';
   }
 
-  var toString = o.toString();
+  // Function.prototype.toString throws on non-function receivers, such as the
+  // prototypes of AsyncFunction or GeneratorFunction.
+  var toString;
+  try {
+    toString = o.toString();
+  } catch (e) {
+    return '';
+  }
   var fNameMatch = toString.match(ObjectGraph.FUNCTION_NAME_REG_EXP);
   if ( fNameMatch !== null ) {
     return fNameMatch[ObjectGraph.FUNCTION_NAME_REG_EXP_MATCH_NAME_IDX];
@@ -189,6 +286,48 @@ ObjectGraph.prototype.getNameFromConstructor = function(o) {
   return '';
 };
 
+// Classify function o. Return { origin, kind, length }, where:
+//   origin: "native" ([native code]), "bound" or "script".
+//   kind: "function", "class", "async", "generator" or "asyncGenerator".
+//   length: o.length (declared arity), or null if unavailable.
+ObjectGraph.prototype.getFunctionInfo_ = function(o) {
+  var source = '', name = '', length = null;
+  // Borrow this realm's Function.prototype.toString: it works across realms
+  // and is not fooled by an own toString property.
+  try {
+    source = Function.prototype.toString.call(o);
+  } catch (e) {}
+  try {
+    name = o.name;
+    length = typeof o.length === 'number' ? o.length : null;
+  } catch (e) {}
+  var info = ObjectGraph.classifyFunctionSource(source);
+  if ( info.origin === 'native' && typeof name === 'string' &&
+       name.startsWith(ObjectGraph.BOUND_NAME_PREFIX) )
+    info.origin = 'bound';
+  var tagKind =
+      ObjectGraph.FUNCTION_KINDS_BY_TAG[Object.prototype.toString.call(o)];
+  if ( tagKind ) info.kind = tagKind;
+  info.length = length;
+  return info;
+};
+
+// Classify function source text, as from Function.prototype.toString().
+// Return { origin, kind, length }, as in getFunctionInfo_(). Source text
+// alone cannot identify bound functions, nor the arity of a function.
+ObjectGraph.classifyFunctionSource = function(source) {
+  var kind = 'function';
+  if ( /^class\b/.test(source) ) kind = 'class';
+  else if ( /^async\s*(function\s*)?\*/.test(source) ) kind = 'asyncGenerator';
+  else if ( /^async\b/.test(source) ) kind = 'async';
+  else if ( /^(function\s*)?\*/.test(source) ) kind = 'generator';
+  return {
+    origin: ObjectGraph.NATIVE_CODE_REG_EXP.test(source) ? 'native' : 'script',
+    kind: kind,
+    length: null,
+  };
+};
+
 ObjectGraph.prototype.blacklistObject = function(o) {
   this.blacklistedObjects.push(o);
 };
@@ -207,7 +346,7 @@ ObjectGraph.prototype.maybeSkip = function(o) {
   if ( o === null ) return this.types['null'];
   var typeOf = typeof o;
   if ( this.types[typeOf] ) return this.types[typeOf];
-  if ( this.data[uid.getId(o)] ) return uid.getId(o);
+  if ( this.data.hasRow(uid.getId(o)) ) return uid.getId(o);
   return null;
 };
 
@@ -224,7 +363,7 @@ ObjectGraph.prototype.isPropertyBlacklisted = function(o, key) {
   }
   var value;
   try {
-    value = o[key];
+    value = this.getProperty(o, key);
   } catch(e) {
     return false;
   }
@@ -249,9 +388,30 @@ ObjectGraph.prototype.rewriteName = function(name) {
   return this.nameRewriter.rewriteName(name);
 };
 
+// Read o[key]. Some host getters (e.g., Node's web streams) return a rejected
+// promise when invoked on a prototype; mark those rejections as handled so
+// that the host does not treat them as fatal.
+ObjectGraph.prototype.getProperty = function(o, key) {
+  var value = o[key];
+  if ( Object.prototype.toString.call(value) === '[object Promise]' )
+    Promise.prototype.catch.call(value, function() {});
+  return value;
+};
+
 // Visit the prototype of o, given its dataMap.
 ObjectGraph.prototype.visitPrototype = function(o, dataMap) {
-  this.storeProto(uid.getId(o), this.visitObject(o.__proto__, { proto: true }));
+  if ( this.isOutOfTime_() ) return;
+  var proto = o.__proto__;
+  var key = this.getCaptureKey_(o, '__proto__');
+  var depth = this.getCaptureDepth_(o) + 1;
+  // Prototypes are not subject to include/exclude patterns or maxDepth: their
+  // properties are.
+  if ( this.maybeSkip(proto) === null && this.isOverObjectLimit_(key) ) return;
+  this.storeProto(uid.getId(o), this.visitObject(proto, {
+    proto: true,
+    key: key,
+    depth: depth,
+  }));
 };
 
 // getProtoPropertyNames returns all inherited properties
@@ -272,27 +432,43 @@ ObjectGraph.prototype.getProtoPropertyNames = function(id) {
 ObjectGraph.prototype.visitInstance = function(o, dataMap) {
   var inheritedProps = this.getProtoPropertyNames(uid.getId(o));
   for ( var i = 0; i < inheritedProps.length; i++ ) {
-    if ( this.isKeyBlacklisted(inheritedProps[i]) ||
-         this.isPropertyBlacklisted(o, inheritedProps[i]) ) continue;
+    // Stored names must be mapped back to keys (e.g., "@@iterator" to
+    // Symbol.iterator). Unregistered symbols cannot be; skip them.
+    var key = this.nameRewriter.nameToKey(inheritedProps[i]);
+    if ( key === null ) continue;
+    if ( this.isKeyBlacklisted(key) ||
+         this.isPropertyBlacklisted(o, key) ) continue;
     // Enqueue work: Visit o's property.
-    this.q.enqueue(this.visitProperty
-      .bind(this, o, inheritedProps[i], dataMap));
+    this.q.enqueue(this.visitProperty.bind(this, o, key, dataMap));
   }
 };
 
 // Visit the property of o named propertyName, given o's dataMap.
 ObjectGraph.prototype.visitProperty = function(o, propertyName, dataMap) {
-  var name = this.rewriteName(propertyName);
+  if ( this.isOutOfTime_() ) return;
+  var name = this.rewriteName(this.getPropertyName_(o, propertyName));
+  var key = this.getCaptureKey_(o, propertyName);
+  // Check patterns before reading the property: getters may have side
+  // effects.
+  if ( this.isKeyFiltered_(key) ) return;
+  var depth = this.getCaptureDepth_(o) + 1;
   try {
-    dataMap[name] = this.visitObject(o[propertyName]);
+    var value = this.getProperty(o, propertyName);
+    if ( this.isOverLimit_(value, key, depth) ) return;
+    dataMap[name] = this.visitObject(value, { key: key, depth: depth });
+    if ( this.captureValues && this.isType(dataMap[name]) )
+      this.storeValue(uid.getId(o), name, value);
   } catch (e) {
     // console.warn('Error accessing', o['+UID'], '.', propertyName);
     dataMap[name] = this.types.exception;
   }
 };
 
+// Get o's own property keys, including symbols when capturing them.
 ObjectGraph.prototype.getOwnPropertyNames = function(o) {
-  return Object.getOwnPropertyNames(o);
+  var names = Object.getOwnPropertyNames(o);
+  if ( ! this.captureSymbols ) return names;
+  return names.concat(Object.getOwnPropertySymbols(o));
 };
 
 ObjectGraph.prototype.visitPropertyDescriptors = function(o, metadataMap) {
@@ -303,10 +479,11 @@ ObjectGraph.prototype.visitPropertyDescriptors = function(o, metadataMap) {
     if ( this.isKeyBlacklisted(names[i]) ||
         this.isPropertyBlacklisted(o, names[i]) ) continue;
 
-    var name = names[i];
+    var key = names[i];
+    var name = this.getPropertyName_(o, key);
     var descriptor;
     try {
-      descriptor = Object.getOwnPropertyDescriptor(o, name);
+      descriptor = Object.getOwnPropertyDescriptor(o, key);
     } catch (e) {}
     if ( descriptor ) {
       metadataMap[name] = stdlib.mapMap(
@@ -315,6 +492,8 @@ ObjectGraph.prototype.visitPropertyDescriptors = function(o, metadataMap) {
             return descriptorPart === undefined || descriptorPart === false ?
                 0 : 1;
           });
+      if ( this.captureAccessors )
+        this.visitAccessors(o, key, descriptor, metadataMap[name]);
     } else {
       console.warn('Missing descriptor for name "' + name +
                    '" on object ' + uid.getId(o));
@@ -322,11 +501,110 @@ ObjectGraph.prototype.visitPropertyDescriptors = function(o, metadataMap) {
   }
 };
 
+// Visit the getter and setter of o's property, key, storing their ids in the
+// property's metadata.
+ObjectGraph.prototype.visitAccessors = function(o, key, descriptor,
+                                                 propertyMetadata) {
+  for ( var part in ObjectGraph.ACCESSOR_KEYS ) {
+    var accessor = descriptor[part];
+    if ( typeof accessor !== 'function' ||
+         this.blacklistedObjects.indexOf(accessor) !== -1 ) continue;
+    var accessorKey =
+        this.getCaptureKey_(o, key) + '.' + ObjectGraph.ACCESSOR_KEYS[part];
+    var depth = this.getCaptureDepth_(o) + 1;
+    if ( this.isKeyFiltered_(accessorKey) ||
+         this.isOverLimit_(accessor, accessorKey, depth) ) continue;
+    propertyMetadata[part] = this.visitObject(accessor, {
+      key: accessorKey,
+      depth: depth,
+    });
+  }
+};
+
+// Get the key under which o[propertyName] is first reached during capture.
+// Used to report capture progress and to apply capture limits.
+ObjectGraph.prototype.getCaptureKey_ = function(o, propertyName) {
+  var parentKey = this.captureKeys_[uid.getId(o)];
+  return ( parentKey === undefined ? this.key : parentKey ) + '.' +
+      this.getPropertyName_(o, propertyName);
+};
+
+// Get the name of o's property, propertyName, during capture. Symbols are
+// named once per object, so that custom symbols that share a description
+// keep distinct names; see NameRewriter.prototype.symbolsToNames().
+ObjectGraph.prototype.getPropertyName_ = function(o, propertyName) {
+  if ( typeof propertyName !== 'symbol' )
+    return this.nameRewriter.keyToName(propertyName);
+  var id = uid.getId(o);
+  if ( ! this.symbolNames_[id] ) {
+    this.symbolNames_[id] = this.nameRewriter.symbolsToNames(
+        Object.getOwnPropertySymbols(o));
+  }
+  return this.symbolNames_[id].get(propertyName) ||
+      this.nameRewriter.symbolToName(propertyName);
+};
+
+// Get the number of steps from the root to o during capture.
+ObjectGraph.prototype.getCaptureDepth_ = function(o) {
+  return this.captureDepths_[uid.getId(o)] || 0;
+};
+
+// Is key excluded by the capture's include/exclude patterns?
+ObjectGraph.prototype.isKeyFiltered_ = function(key) {
+  var limits = this.captureLimits_;
+  if ( limits.exclude.some(pattern => pattern.matches(key)) ) return true;
+  if ( limits.include.length === 0 ) return false;
+  return ! limits.include.some(pattern =>
+      pattern.matches(key) || pattern.canMatchBelow(key));
+};
+
+// Would visiting value, reached via key at depth, exceed maxDepth or
+// maxObjects? Only previously unvisited objects count against the limits.
+ObjectGraph.prototype.isOverLimit_ = function(value, key, depth) {
+  if ( this.maybeSkip(value) !== null ) return false;
+  var maxDepth = this.captureLimits_.maxDepth;
+  if ( maxDepth !== undefined && depth > maxDepth ) {
+    this.recordTruncation_('maxDepth', key);
+    return true;
+  }
+  return this.isOverObjectLimit_(key);
+};
+
+ObjectGraph.prototype.isOverObjectLimit_ = function(key) {
+  var maxObjects = this.captureLimits_.maxObjects;
+  if ( maxObjects === undefined || this.visitedCount_ < maxObjects )
+    return false;
+  this.recordTruncation_('maxObjects', key);
+  return true;
+};
+
+// Has the capture's timeBudget run out? If so, drop all remaining work.
+ObjectGraph.prototype.isOutOfTime_ = function() {
+  var deadline = this.captureLimits_.deadline;
+  if ( deadline === undefined || Date.now() < deadline ) return false;
+  this.recordTruncation_('timeBudget', this.currentKey_);
+  this.q.clear();
+  this.instanceQueue.clear();
+  return true;
+};
+
+// Record that the capture was cut short at key, for reason.
+ObjectGraph.prototype.recordTruncation_ = function(reason, key) {
+  this.truncation = this.truncation || {};
+  var record = this.truncation[reason] =
+      this.truncation[reason] || { count: 0, keys: [] };
+  record.count++;
+  if ( record.keys.length < ObjectGraph.MAX_TRUNCATED_KEYS )
+    record.keys.push(key);
+};
+
 // Visit an object, o. Return an id for the object, which may contain type
 // information (e.g., number, boolean, null), or indicate the unique identity
 // of the object itself.
 // opt contains information about this object.
 //     proto: if this object is visit as a __proto__ of other object.
+//     key: the key under which this object was reached.
+//     depth: the number of steps from the root to this object.
 ObjectGraph.prototype.visitObject = function(o, opt) {
   opt = opt || {};
   let proto = opt.proto || false;
@@ -335,6 +613,10 @@ ObjectGraph.prototype.visitObject = function(o, opt) {
   if ( skip !== null ) return skip;
 
   var id = uid.getId(o);
+  var key = opt.key === undefined ? this.key : opt.key;
+  this.captureKeys_[id] = this.currentKey_ = key;
+  this.captureDepths_[id] = opt.depth || 0;
+  this.visitedCount_++;
 
   // Store function-type info in a special place. We visit them like any
   // other object with identity, so their id will not indicate their type.
@@ -342,6 +624,7 @@ ObjectGraph.prototype.visitObject = function(o, opt) {
     var fName = this.getNameFromConstructor(o);
     if ( fName === '' ) console.warn('Saving unnamed function');
     this.functions[id] = fName;
+    this.functionInfo[id] = this.getFunctionInfo_(o);
   }
 
   var dataMap = this.storeObject(id);
@@ -385,76 +668,292 @@ ObjectGraph.prototype.cloneWithout = function(withoutIds) {
 
   clone.key = this.key;
   clone.root = this.root;
-  clone.data = cloneDeep(this.data);
-  clone.metadata = cloneDeep(this.metadata);
-  clone.protos = cloneDeep(this.protos);
-  clone.toStrings = cloneDeep(this.toStrings);
-  clone.functions = cloneDeep(this.functions);
+  clone.data = this.data.clone();
+  clone.metadata = this.metadata.clone();
+  // Flat maps of id => value.
+  clone.protos = Object.assign({}, this.protos);
+  clone.toStrings = Object.assign({}, this.toStrings);
+  clone.functions = Object.assign({}, this.functions);
+  if ( this.functionInfo ) clone.functionInfo = cloneDeep(this.functionInfo);
+  if ( this.values ) clone.values = cloneDeep(this.values);
+  if ( this.provenance ) clone.provenance = cloneDeep(this.provenance);
+  if ( this.pollution ) clone.pollution = cloneDeep(this.pollution);
 
   clone.initLazyData();
 
   return clone.removeIds(withoutIds);
 };
 
+// Interface method: Start recording provenance, attributing every object and
+// property of this graph to source, a label (e.g., a user agent). Sources of
+// graphs merged in later are added by mergeGraph().
+ObjectGraph.prototype.initProvenance = function(source) {
+  this.provenance = { sources: [ source ], objects: {}, properties: {} };
+  var ids = this.getAllIds();
+  for ( var i = 0; i < ids.length; i++ ) {
+    this.provenance.objects[ids[i]] = [ 0 ];
+    this.provenance.properties[ids[i]] = {};
+    for ( var name of this.data.getNames(ids[i]) )
+      this.provenance.properties[ids[i]][name] = [ 0 ];
+  }
+};
+
+// Interface method: Merge other into this graph, attributing what other
+// contains to source (see initProvenance()). Objects of other are aligned with
+// objects of this graph by idMap, a Map of other's ids => ids in this graph;
+// properties that aligned objects lack here are added. Other objects are
+// copied under fresh ids.
+ObjectGraph.prototype.mergeGraph = function(other, idMap, source) {
+  if ( ! this.provenance ) this.initProvenance(null);
+  var sourceIdx = this.provenance.sources.length;
+  this.provenance.sources.push(source);
+
+  var nextId = this.getMaxId_() + 1;
+  var remapId = id => {
+    if ( this.isType(id) ) return id;
+    if ( ! idMap.has(id) ) idMap.set(id, nextId++);
+    return idMap.get(id);
+  };
+  var remapMetadata = metadata => {
+    var ret = Object.assign({}, metadata);
+    for ( var part in ObjectGraph.ACCESSOR_KEYS ) {
+      if ( this.isAccessorId(ret[part]) ) ret[part] = remapId(ret[part]);
+    }
+    return ret;
+  };
+  var hasOwn = (o, name) => Object.prototype.hasOwnProperty.call(o, name);
+
+  var otherIds = other.getAllIds();
+  for ( var i = 0; i < otherIds.length; i++ ) {
+    var otherId = otherIds[i];
+    var id = remapId(otherId);
+    if ( ! this.data.hasRow(id) ) {
+      this.data.addRow(id);
+      if ( ! this.metadata.hasRow(id) ) this.metadata.addRow(id);
+      if ( hasOwn(other.protos, otherId) )
+        this.protos[id] = remapId(other.protos[otherId]);
+      if ( hasOwn(other.toStrings, otherId) )
+        this.toStrings[id] = other.toStrings[otherId];
+      if ( other.isFunction(otherId) )
+        this.functions[id] = other.functions[otherId];
+      if ( other.functionInfo && other.functionInfo[otherId] ) {
+        this.functionInfo = this.functionInfo || {};
+        this.functionInfo[id] = Object.assign({}, other.functionInfo[otherId]);
+      }
+    }
+
+    var objectSources = this.provenance.objects[id] =
+        this.provenance.objects[id] || [];
+    if ( objectSources.indexOf(sourceIdx) === -1 )
+      objectSources.push(sourceIdx);
+    var propertySources = this.provenance.properties[id] =
+        this.provenance.properties[id] || {};
+
+    var otherData = other.data.getRow(otherId);
+    var otherValues = other.values && other.values[otherId];
+    for ( var name of Object.keys(otherData) ) {
+      if ( ! this.data.has(id, name) ) {
+        this.data.set(id, name, remapId(otherData[name]));
+        if ( otherValues && hasOwn(otherValues, name) ) {
+          this.values = this.values || {};
+          this.values[id] = this.values[id] || {};
+          this.values[id][name] = otherValues[name];
+        }
+      }
+      if ( ! hasOwn(propertySources, name) ) propertySources[name] = [];
+      if ( propertySources[name].indexOf(sourceIdx) === -1 )
+        propertySources[name].push(sourceIdx);
+    }
+
+    var otherMetadata = other.metadata && other.metadata.getRow(otherId);
+    if ( ! otherMetadata ) continue;
+    if ( ! this.metadata.hasRow(id) ) this.metadata.addRow(id);
+    for ( var rawName of Object.keys(otherMetadata) ) {
+      if ( ! this.metadata.has(id, rawName) ) {
+        this.metadata.set(id, rawName,
+                          remapMetadata(otherMetadata[rawName]));
+      }
+    }
+  }
+  this.data.compact();
+  this.metadata.compact();
+
+  // Object graph has changed! Flush lazily computed data.
+  this.initLazyData();
+
+  return this;
+};
+
+// Get the greatest id referred to in this graph.
+ObjectGraph.prototype.getMaxId_ = function() {
+  var max = this.LAST_TYPE || ObjectGraph.LAST_TYPE;
+  this.data.forEach((id, name, valueId) => {
+    max = Math.max(max, id, valueId);
+  });
+  for ( var protoId of Object.keys(this.protos) )
+    max = Math.max(max, this.protos[protoId]);
+  for ( var accessorId of Object.keys(this.invAccessors) )
+    max = Math.max(max, parseInt(accessorId));
+  return max;
+};
+
 // Interface method: Visit the object graph rooted at o.
 // Supported options:
 //   onDone: Callback when visiting is finished.
 //           arguments = [this]
+//   onProgress: Callback after each batch of visiting work.
+//           arguments = [{ visited, queueLength, path }]
 //   key: Initial string key that refers to root object.
+//   userAgentData: High-entropy values from
+//                  navigator.userAgentData.getHighEntropyValues(), stored with
+//                  the parsed userAgent in .environment (see
+//                  NameRewriter.prototype.userAgentAsEnvironmentInfo()),
+//                  unless the graph already has an environment.
+// Options that limit the capture; a graph cut short by a limit records it in
+// .truncation (see getTruncation()):
+//   maxDepth: Do not visit objects more than this many steps from the root.
+//   maxObjects: Stop visiting new objects after this many.
+//   timeBudget: Stop visiting after this many milliseconds.
+//   include: Key pattern(s) (see KeyPattern); visit only properties whose keys
+//            match, or lead to keys that may match.
+//   exclude: Key pattern(s); never visit properties whose keys match.
+// Returns a CaptureHandle whose .done promise resolves to this graph. When
+// the graph is busy, the capture starts after the previous one settles.
 ObjectGraph.prototype.capture = function(o, opts) {
   opts = opts || {};
-  var prevOnDone = this.q.onDone;
-  if ( this.busy ) {
-    this.q.onDone = function() {
-      prevOnDone.apply(this, arguments);
-      this.capture(o, opts);
-    }.bind(this);
-    return this;
-  }
+  const handle = new CaptureHandle(this);
+  if ( opts.onProgress ) handle.on('progress', opts.onProgress);
+
+  const prev = this.lastCapture_;
+  this.lastCapture_ = handle;
+  const start = () => {
+    if ( ! handle.cancelled ) this.runCapture_(o, opts, handle);
+  };
+  // Start through the graph's scheduler, like the capture's own work; with an
+  // asynchronous scheduler, this is a later turn, so that .done reactions of
+  // the previous capture observe its results before they are replaced.
+  const defer = () => this.q.scheduler.schedule(start);
+  if ( prev && ! prev.settled ) prev.done.then(defer, defer);
+  else start();
+
+  return handle;
+};
+
+ObjectGraph.prototype.getCaptureLimits_ = function(opts) {
+  const toPatterns = patterns => [].concat(patterns || [])
+      .map(pattern => new KeyPattern(pattern));
+  return {
+    maxDepth: opts.maxDepth,
+    maxObjects: opts.maxObjects,
+    deadline: opts.timeBudget === undefined ?
+        undefined : Date.now() + opts.timeBudget,
+    include: toPatterns(opts.include),
+    exclude: toPatterns(opts.exclude),
+  };
+};
+
+ObjectGraph.prototype.runCapture_ = function(o, opts, handle) {
   this.busy = true;
 
   // Lock-in user agent by (potentially) copying it into an own property.
   this.userAgent = this.userAgent;
+  if ( ! this.environment && ( this.userAgent || opts.userAgentData ) ) {
+    this.environment = this.nameRewriter.userAgentAsEnvironmentInfo(
+        this.userAgent || '', opts.userAgentData);
+  }
 
   this.timestamp = null;
   this.key = opts.key || '';
-  this.root = typeof o === 'object' && o !== null ? o['+UID'] : o;
-  this.data = {};
-  this.metadata = {};
+  // Ask id-js directly rather than reading o['+UID']: objects from another
+  // realm (e.g., a vm context) do not inherit this realm's Object.prototype.
+  this.root = typeof o === 'object' && o !== null ? uid.getId(o) : o;
+  this.data = new CompactTable(CompactTable.EDGES);
+  this.metadata = new CompactTable(CompactTable.DESCRIPTORS);
   this.protos = {};
   this.toStrings = {};
   this.functions = {};
+  this.functionInfo = {};
+  this.values = {};
   this.keysCache = {};
 
-  this.q.onDone = function() {
+  this.truncation = null;
+
+  // Capture-time bookkeeping; discarded when the capture settles.
+  this.captureLimits_ = this.getCaptureLimits_(opts);
+  this.captureKeys_ = {};
+  this.captureDepths_ = {};
+  this.symbolNames_ = {};
+  this.currentKey_ = this.key;
+  this.visitedCount_ = 0;
+  this.valueCount_ = 0;
+
+  // Fresh queues: tasks left over from an earlier (e.g., cancelled) capture
+  // must never run against this one.
+  const q = this.q = new TaskQueue(this.queueOpts);
+  const instanceQueue = this.instanceQueue =
+      new TaskQueue({ scheduler: this.queueOpts.scheduler });
+  const onTick = q.onTick;
+  const onDone = q.onDone;
+
+  const progress = () => handle.settled || handle.emit('progress', {
+    visited: this.visitedCount_,
+    queueLength: q.size() + instanceQueue.size(),
+    path: this.currentKey_,
+  });
+  const cleanup = () => {
+    this.busy = false;
+    this.captureKeys_ = this.captureDepths_ = this.currentKey_ = null;
+    this.symbolNames_ = null;
+    this.captureLimits_ = null;
+  };
+  const finish = () => {
+    if ( handle.settled ) return;
+    cleanup();
     this.timestamp = (new Date()).getTime();
+    this.data.compact();
+    this.metadata.compact();
     this.initLazyData();
     opts.onDone && opts.onDone(this);
-    this.busy = false;
-    this.instanceQueue.onDone = function() {
-      if ( ! this.q.empty() ) this.q.flush();
-      else prevOnDone(this);
-    }.bind(this);
-    this.q.onDone = function() {
-      if ( ! this.instanceQueue.empty() ) this.instanceQueue.flush();
-      else prevOnDone(this);
-    }.bind(this);
-    this.instanceQueue.flush();
-  }.bind(this);
+    onDone(this);
+    handle.resolve();
+  };
+
+  q.onTick = function() {
+    onTick.apply(this, arguments);
+    progress();
+  };
+  instanceQueue.onTick = progress;
+  // Alternate between the queues until both are drained: visiting instances
+  // enqueues more property visits, and vice versa. Hand each switch to the
+  // scheduler rather than flushing directly, so that the stack does not grow
+  // with every switch.
+  q.onDone = () => {
+    if ( ! instanceQueue.empty() )
+      q.scheduler.schedule(() => instanceQueue.flush());
+    else finish();
+  };
+  instanceQueue.onDone = () => {
+    if ( ! q.empty() ) q.scheduler.schedule(() => q.flush());
+    else finish();
+  };
+  handle.queues = [ q, instanceQueue ];
+  handle.onCancel_ = () => {
+    q.clear();
+    instanceQueue.clear();
+    cleanup();
+  };
 
   // Edge case: Passed-in object is blacklisted. This is not caught by
   // .isPropertyBlacklisted().
   for ( var i = 0; i < this.blacklistedObjects.length; i++ ) {
     if ( o === this.blacklistedObjects[i] ) {
-      this.q.flush();
-      return this;
+      q.flush();
+      return;
     }
   }
 
   this.visitObject(o);
-  this.q.flush();
-
-  return this;
+  q.flush();
 };
 
 ObjectGraph.prototype.removeRefs_ = function(id, ids) {
@@ -466,63 +965,155 @@ ObjectGraph.prototype.removeRefs_ = function(id, ids) {
         var refIds = invData[key];
         refIds.forEach(refId => {
           found = true;
-          delete this.data[refId][key];
+          this.data.delete(refId, key);
+          this.removePropertySources_(refId, key);
         });
       }
     }
   }
+  var invAccessors = this.invAccessors[id];
+  if ( invAccessors ) {
+    // Keep the flag that an accessor exists; only its identity is lost.
+    invAccessors.forEach(ref => {
+      found = true;
+      var metadata = this.metadata.get(ref.id, ref.name);
+      metadata[ref.part] = 1;
+      this.metadata.set(ref.id, ref.name, metadata);
+    });
+  }
   var invProtoIds = this.invProtos[id];
   if ( invProtoIds ) {
     var newProto = id;
-    while ( !this.isType(newProto) &&
-           ids.some(protoId => protoId === newProto) )
+    while ( !this.isType(newProto) && ids.has(newProto) )
       newProto = this.getPrototype(newProto);
 
+    var newInvProtoIds = this.invProtos[newProto] =
+        this.invProtos[newProto] || [];
     invProtoIds.forEach(invProtoId => {
       found = true;
       console.assert(this.protos[invProtoId] === id);
       this.protos[invProtoId] = newProto;
+      newInvProtoIds.push(invProtoId);
     });
   }
   return found;
 };
 
 ObjectGraph.prototype.removeData_ = function(id) {
-  delete this.data[id];
+  this.data.deleteRow(id);
   delete this.protos[id];
-  // TODO: Out-of-date data appears to be causing the need for this check.
-  if ( this.metadata !== undefined && this.metadata[id] !== undefined )
-    delete this.metadata[id];
+  if ( this.values ) delete this.values[id];
+  if ( this.provenance ) {
+    delete this.provenance.objects[id];
+    delete this.provenance.properties[id];
+  }
+  if ( this.metadata !== undefined ) this.metadata.deleteRow(id);
   return true;
 };
 
+// Remove id from the list of ids stored at index[key], if any.
+function unindex(index, key, id) {
+  var ids = index[key];
+  if ( ! ids ) return;
+  var i = ids.indexOf(id);
+  if ( i !== -1 ) ids.splice(i, 1);
+  if ( ids.length === 0 ) delete index[key];
+}
+
+// Remove the property edge, id.name => valueId, from invData.
+ObjectGraph.prototype.unindexData_ = function(id, name, valueId) {
+  var names = this.invData[valueId];
+  if ( ! names ) return;
+  unindex(names, name, id);
+  for ( var key in names ) {
+    if ( names.hasOwnProperty(key) ) return;
+  }
+  delete this.invData[valueId];
+};
+
+// Remove ids, which must no longer be referred to from outside ids, and
+// their outgoing references from the lazily computed indexes.
+ObjectGraph.prototype.removeObjects_ = function(ids) {
+  for ( let id of ids ) {
+    let dataMap = this.data.getRow(id) || {};
+    for ( let name of Object.keys(dataMap) )
+      this.unindexData_(id, name, dataMap[name]);
+    delete this.invData[id];
+
+    if ( this.protos[id] !== undefined )
+      unindex(this.invProtos, this.protos[id], String(id));
+    delete this.invProtos[id];
+
+    let metadataMap = this.metadata && this.metadata.getRow(id) || {};
+    for ( let name of Object.keys(metadataMap) ) {
+      for ( let part in ObjectGraph.ACCESSOR_KEYS ) {
+        let accessorId = metadataMap[name][part];
+        let refs = this.isAccessorId(accessorId) &&
+            this.invAccessors[accessorId];
+        if ( ! refs ) continue;
+        this.invAccessors[accessorId] = refs.filter(ref => ref.id !== id);
+      }
+    }
+    delete this.invAccessors[id];
+
+    this.removeData_(id);
+    delete this.functions[id];
+    if ( this.functionInfo ) delete this.functionInfo[id];
+  }
+
+  let allIds = this.allIds_;
+  let j = 0;
+  for ( let i = 0; i < allIds.length; i++ ) {
+    if ( ! ids.has(allIds[i]) ) allIds[j++] = allIds[i];
+  }
+  allIds.length = j;
+};
+
+// Get the set of object ids reachable from root along properties, prototypes
+// and accessors; i.e., the ids that have keys.
+ObjectGraph.prototype.getReachableIds_ = function() {
+  let reachable = new Set([ this.root ]);
+  let q = [ this.root ];
+  let visit = id => {
+    if ( this.isType(id) || reachable.has(id) ) return;
+    reachable.add(id);
+    q.push(id);
+  };
+  for ( let i = 0; i < q.length; i++ ) {
+    let id = q[i];
+    let dataMap = this.data.getRow(id) || {};
+    for ( let name of Object.keys(dataMap) ) visit(dataMap[name]);
+    visit(this.getPrototype(id));
+    let metadataMap = this.metadata && this.metadata.getRow(id) || {};
+    for ( let name of Object.keys(metadataMap) ) {
+      for ( let part in ObjectGraph.ACCESSOR_KEYS ) {
+        if ( this.isAccessorId(metadataMap[name][part]) )
+          visit(metadataMap[name][part]);
+      }
+    }
+  }
+  return reachable;
+};
+
 // Interface method: Remove ids from the object graph.
 // Also clean up objects orphaned by id removals.
 ObjectGraph.prototype.removeIds = function(ids) {
   // Do not touch root object or references to it.
-  ids = ids.filter(id => id !== this.root);
+  ids = new Set(ids.filter(id => id !== this.root));
 
-  // Keep removing objects until no remaining objects are orphaned from root.
-  do {
-    for ( let id of ids ) {
-      this.removeRefs_(id, ids);
-    }
-    for ( let id of ids ) {
-      this.removeData_(id);
-    }
-    for ( let id of ids ) {
-      if ( id in this.functions ) {
-        delete this.functions[id];
-      }
-    }
-    // Object graph has changed! Flush lazily computed data.
-    this.initLazyData();
+  for ( let id of ids ) {
+    this.removeRefs_(id, ids);
+  }
+  this.removeObjects_(ids);
 
-    ids = this.getAllIds().filter(id => {
-      return this.getShortestKey(id) === null;
-    });
-  } while ( ids.length > 0 );
+  // Mark and sweep objects orphaned from root. Orphans are referred to only by
+  // other orphans, so there are no references to them left to fix up.
+  let reachable = this.getReachableIds_();
+  this.removeObjects_(new Set(
+      this.getAllIds().filter(id => ! reachable.has(id))));
 
+  // Object graph has changed! Indexes other than keys were updated in place.
+  this.initLazyKeys_();
 
   return this;
 };
@@ -530,17 +1121,27 @@ ObjectGraph.prototype.removeIds = function(ids) {
 // Interface method: Remove id => key mappings.
 ObjectGraph.prototype.removePrimitives = function(idKeyPairs) {
   for ( let { id, key } of idKeyPairs ) {
-    console.assert(this.data[id] && this.isType(this.data[id][key]),
+    // Keys are unrewritten names, as returned by getObjectKeys().
+    let name = this.rewriteName(key);
+    console.assert(this.isType(this.data.get(id, name)),
                    `Attempt to remove non-primitive, ${id} . \
                    ${key}, with removePrimitives()`);
-    delete this.data[id][key];
+    this.unindexData_(id, name, this.data.get(id, name));
+    this.data.delete(id, name);
+    if ( this.values && this.values[id] ) delete this.values[id][name];
+    this.removePropertySources_(id, name);
   }
 
-  this.initLazyData();
+  this.initLazyKeys_();
 
   return this;
 };
 
+ObjectGraph.prototype.removePropertySources_ = function(id, name) {
+  var properties = this.provenance && this.provenance.properties[id];
+  if ( properties ) delete properties[name];
+};
+
 // Interface method: Does this id refer to a type?
 ObjectGraph.prototype.isType = function(id) {
   return id >= ( this.FIRST_TYPE || ObjectGraph.FIRST_TYPE ) &&
@@ -553,6 +1154,62 @@ ObjectGraph.prototype.getType = function(id) {
   return 'object';
 };
 
+// Interface method: Is value, taken from a property's metadata, the id of a
+// captured getter or setter? (Graphs captured without captureAccessors store
+// 0/1 flags instead.)
+ObjectGraph.prototype.isAccessorId = function(value) {
+  return typeof value === 'number' && value !== 0 && ! this.isType(value);
+};
+
+// Interface method: Get the id of the getter (part = 'get') or setter
+// (part = 'set') of the own property, name, of id; null if none is known.
+ObjectGraph.prototype.getAccessorId = function(id, name, part) {
+  var metadata = this.metadata.get(id, name);
+  if ( ! metadata || ! this.isAccessorId(metadata[part]) ) return null;
+  return metadata[part];
+};
+
+// Compute map of accessor id => [{ id, name, part }], where each entry refers
+// to a property whose descriptor holds the accessor.
+ObjectGraph.prototype.getInvAccessors_ = function() {
+  var inv = {};
+  // Metadata is keyed by raw property names; e.g., "hasOwnProperty".
+  this.metadata.forEach((id, name, metadata) => {
+    for ( var part in ObjectGraph.ACCESSOR_KEYS ) {
+      var accessorId = metadata[part];
+      if ( ! this.isAccessorId(accessorId) ) continue;
+      inv[accessorId] = inv[accessorId] || [];
+      inv[accessorId].push({ id, name, part });
+    }
+  });
+  return inv;
+};
+
+// Compute map of id => name => [ids of objects whose property, name, refers
+// to id].
+ObjectGraph.prototype.getInvData_ = function() {
+  var inv = {};
+  this.data.forEach((id, name, valueId) => {
+    var names = inv[valueId] = inv[valueId] || {};
+    if ( ! Object.prototype.hasOwnProperty.call(names, name) )
+      names[name] = [];
+    names[name].push(id);
+  });
+  return inv;
+};
+
+// Get a map of name => [[id, valueId], ...] over all data. Kept for code
+// written against the plain-object data table.
+ObjectGraph.prototype.getNamedData_ = function() {
+  var named = {};
+  this.data.forEach((id, name, valueId) => {
+    if ( ! Object.prototype.hasOwnProperty.call(named, name) )
+      named[name] = [];
+    named[name].push([id, valueId]);
+  });
+  return named;
+};
+
 // Interface method: Does id refer to a function?
 ObjectGraph.prototype.isFunction = function(id) {
   if ( ! id ) return false;
@@ -571,7 +1228,103 @@ ObjectGraph.prototype.getToString = function(id) {
 
 // Interface method: Get the name of given function id.
 ObjectGraph.prototype.getFunctionName = function(id) {
-  return this.nameRewriter.unrewriteName(this.functions[id]);
+  // Function names are stored as-is.
+  return this.functions[id];
+};
+
+// Interface method: Get { origin, kind, length } for given function id; see
+// getFunctionInfo_(). For graphs captured before this was recorded, the
+// result is inferred from the function's string representation, and length
+// is null.
+ObjectGraph.prototype.getFunctionInfo = function(id) {
+  if ( ! this.isFunction(id) ) return null;
+  if ( this.functionInfo && this.functionInfo[id] )
+    return Object.assign({}, this.functionInfo[id]);
+  return ObjectGraph.classifyFunctionSource(this.getToString(id) || '');
+};
+
+// Interface method: Get the kind ("function", "class", "async", "generator"
+// or "asyncGenerator") of given function id.
+ObjectGraph.prototype.getFunctionKind = function(id) {
+  var info = this.getFunctionInfo(id);
+  return info && info.kind;
+};
+
+// Interface method: Get the origin ("native", "bound" or "script") of given
+// function id.
+ObjectGraph.prototype.getFunctionOrigin = function(id) {
+  var info = this.getFunctionInfo(id);
+  return info && info.origin;
+};
+
+// Interface method: Is given function id implemented natively (i.e., a
+// built-in rather than, say, a polyfill)?
+ObjectGraph.prototype.isNativeFunction = function(id) {
+  return this.getFunctionOrigin(id) === 'native';
+};
+
+// Interface method: Get the declared arity (.length) of given function id, or
+// null if unknown.
+ObjectGraph.prototype.getFunctionLength = function(id) {
+  var info = this.getFunctionInfo(id);
+  return info && info.length;
+};
+
+// Interface method: Was the capture cut short by maxDepth, maxObjects or
+// timeBudget?
+ObjectGraph.prototype.isTruncated = function() {
+  return !! this.truncation;
+};
+
+// Interface method: Get { reason: { count, keys } } describing where the
+// capture was cut short, or null. Only the first MAX_TRUNCATED_KEYS keys are
+// kept per reason.
+ObjectGraph.prototype.getTruncation = function() {
+  return this.truncation || null;
+};
+
+// Interface method: Get the sources (see initProvenance()) of graphs that
+// contain id, or null if this graph does not record provenance.
+ObjectGraph.prototype.getSources = function(id) {
+  if ( ! this.provenance ) return null;
+  return this.getSourceLabels_(this.provenance.objects[id]);
+};
+
+// Interface method: Get the sources of graphs in which id has the own
+// property, key, or null if this graph does not record provenance.
+ObjectGraph.prototype.getPropertySources = function(id, key) {
+  if ( ! this.provenance ) return null;
+  var properties = this.provenance.properties[id];
+  var name = this.rewriteName(key);
+  return this.getSourceLabels_(
+      properties && Object.prototype.hasOwnProperty.call(properties, name) ?
+      properties[name] : []);
+};
+
+ObjectGraph.prototype.getSourceLabels_ = function(sourceIdxs) {
+  return ( sourceIdxs || [] ).map(idx => this.provenance.sources[idx]);
+};
+
+// Interface method: Get { key, added, overwritten, deleted }, where key is the
+// root key and the rest list keys that scripts added, overwrote or deleted
+// compared to a pristine realm; null if this graph was not compared to one.
+// See pollution.es6.js.
+ObjectGraph.prototype.getPollution = function() {
+  return this.pollution || null;
+};
+
+// Interface method: Get how scripts changed key compared to a pristine realm:
+// "added" or "deleted" (key or a key it extends), "overwritten", or null.
+ObjectGraph.prototype.getPollutionType = function(key) {
+  if ( ! this.pollution ) return null;
+  if ( this.pollution.overwritten.indexOf(key) !== -1 ) return 'overwritten';
+  var parts = key.split('.');
+  for ( var i = parts.length; i > 0; i-- ) {
+    var prefix = parts.slice(0, i).join('.');
+    if ( this.pollution.added.indexOf(prefix) !== -1 ) return 'added';
+    if ( this.pollution.deleted.indexOf(prefix) !== -1 ) return 'deleted';
+  }
+  return null;
 };
 
 // Interface method: get the root of object graph.
@@ -581,7 +1334,7 @@ ObjectGraph.prototype.getRoot = function() {
 
 // Interface method: Get attribute and id belong to given id.
 ObjectGraph.prototype.getPropertiesIds = function(id) {
-  return Object.assign({}, this.data[id]);
+  return this.data.getRow(id) || {};
 };
 
 // Interface method: Get all ids in the system.
@@ -590,41 +1343,81 @@ ObjectGraph.prototype.getAllIds = function() {
 };
 
 ObjectGraph.prototype.getAllIds_ = function() {
-  var ids = [];
-  var strIds = this.getOwnPropertyNames(this.data);
-  for ( var i = 0; i < strIds.length; i++ ) {
-    if ( this.isKeyBlacklisted(strIds[i]) ) continue;
-    var id = parseInt(strIds[i]);
-    console.assert(!isNaN(id), 'Non-numeric id');
-    ids.push(id);
-  }
-  return ids.sort();
+  return this.data.getRowIds()
+      .filter(id => ! this.isKeyBlacklisted(String(id))).sort();
 };
 
 // Interface method: Get object's key names, optionally filtered by
 // opt_predicate.
 ObjectGraph.prototype.getObjectKeys = function(id, opt_predicate) {
-  if ( ! this.data[id] ) return [];
-  var data = this.data[id];
-  var keys = this.getOwnPropertyNames(data)
-      .map(this.nameRewriter.unrewriteName.bind(this.nameRewriter));
-  if ( ! opt_predicate ) return keys.sort();
-  return keys.filter(function(key) {
-    return opt_predicate(data[key], key);
-  }).sort();
+  var names = this.data.getNames(id);
+  if ( opt_predicate ) {
+    names = names.filter(name => opt_predicate(
+        this.data.get(id, name), this.nameRewriter.unrewriteName(name)));
+  }
+  return names.map(this.nameRewriter.unrewriteName.bind(this.nameRewriter))
+      .sort();
 };
 
-// Interface method: Get all keys that refer to an object id.
+// Interface method: Get all keys that refer to an object id; at most
+// maxKeysPerId of them. Keys are in breadth-first order from root: grouped by
+// the object that they leave from, in the order those objects are reached,
+// and then by the length of the last part (ties in property order). This is
+// not strictly by length, but the first key is always getShortestKey().
 ObjectGraph.prototype.getKeys = function(id) {
-  // Doing one BFS for all key names is much more efficient than repeating it
-  // lazily. Trigger complete cache fill with getAllKeys().
-  let keys = this.getAllKeys()[id];
-  return keys ? keys.slice() : [];
+  if ( ! this.keysCache[id] ) {
+    let keys = this.keysCache[id] = [];
+    for ( let key of this.iterateKeys(id) ) {
+      if ( keys.length >= this.maxKeysPerId ) break;
+      keys.push(key);
+    }
+  }
+  return this.keysCache[id].slice();
 };
 
 // Interface method: Get shortest key that refers to an object id.
 ObjectGraph.prototype.getShortestKey = function(id) {
-  return this.getKeys(id)[0] || null;
+  let key = this.keyTree_.keys.get(id);
+  return key === undefined ? null : key;
+};
+
+// Interface method: Lazily iterate over all keys that refer to an object id,
+// in the order of getKeys(). Keys of other objects are not computed.
+ObjectGraph.prototype.iterateKeys = function*(id) {
+  let tree = this.keyTree_;
+  if ( id === this.root ) yield tree.keys.get(id);
+
+  // Group edges to id by the object they leave from; keys are ordered by when
+  // the breadth-first search of getKeyTree_() expands that object.
+  let edgesByParent = new Map();
+  let addEdge = (parentId, part) => {
+    if ( ! tree.order.has(parentId) ) return;
+    if ( ! edgesByParent.has(parentId) ) edgesByParent.set(parentId, []);
+    edgesByParent.get(parentId).push(part);
+  };
+  let names = this.invData[id] || {};
+  for ( let name of Object.keys(names) ) {
+    for ( let parentId of names[name] ) addEdge(parentId, name);
+  }
+  for ( let parentId of this.invProtos[id] || [] )
+    addEdge(parseInt(parentId), '__proto__');
+  for ( let ref of this.invAccessors[id] || [] ) {
+    addEdge(ref.id, this.rewriteName(ref.name) + '.' +
+            ObjectGraph.ACCESSOR_KEYS[ref.part]);
+  }
+
+  let parentIds = Array.from(edgesByParent.keys())
+      .sort((a, b) => tree.order.get(a) - tree.order.get(b));
+  for ( let parentId of parentIds ) {
+    let parts = edgesByParent.get(parentId);
+    // Several edges from one object are ordered as in getKeyEdges_().
+    if ( parts.length > 1 ) {
+      parts = this.getKeyEdges_(parentId)
+          .filter(edge => edge.id === id).map(edge => edge.part);
+    }
+    for ( let part of parts )
+      yield tree.keys.get(parentId) + '.' + this.unrewriteKey_(part);
+  }
 };
 
 // Interface method: Get all keys for all ids; returns a map of the form:
@@ -633,44 +1426,79 @@ ObjectGraph.prototype.getAllKeys = function() {
   return this.allKeys_;
 };
 
-// Compute complete set of lookup keys for objects.
-// TODO: Doing this in reverse, exploiting cached prefixes would allow us to
-// be more incremental about this.
 ObjectGraph.prototype.getAllKeys_ = function() {
-  let q = [ { id: this.root, key: this.key } ];
-  let seen = {};
-  let strs = {};
+  let keys = {};
+  for ( let { id, key } of this.iterateAllKeys() ) {
+    keys[id] = keys[id] || [];
+    keys[id].push(key);
+  }
+  return keys;
+};
+
+// Interface method: Lazily iterate over { id, key } for all keys, at most
+// maxKeysPerId per id. Keys of each id are produced in the order of
+// getKeys().
+ObjectGraph.prototype.iterateAllKeys = function*() {
+  let tree = this.keyTree_;
+  let counts = new Map([ [ this.root, 1 ] ]);
+  yield { id: this.root, key: tree.keys.get(this.root) };
+  for ( let parentId of tree.order.keys() ) {
+    let prefix = tree.keys.get(parentId);
+    for ( let edge of this.getKeyEdges_(parentId) ) {
+      let count = counts.get(edge.id) || 0;
+      if ( count >= this.maxKeysPerId ) continue;
+      counts.set(edge.id, count + 1);
+      yield { id: edge.id, key: prefix + '.' + this.unrewriteKey_(edge.part) };
+    }
+  }
+};
 
+// Compute { keys, order }, where keys maps every id reachable from root
+// (including types) to its shortest key, and order maps object ids to their
+// position in the breadth-first search that found them.
+ObjectGraph.prototype.getKeyTree_ = function() {
+  let keys = new Map([ [ this.root, this.unrewriteKey_(this.key) ] ]);
+  let order = new Map();
+  let q = [ this.root ];
   for ( let i = 0; i < q.length; i++ ) {
-    let item = q[i];
-    this.keysCache[item.id] = strs[item.id] = strs[item.id] || [];
-    strs[item.id].push(item.key);
-    if ( seen[item.id] ) continue;
-    seen[item.id] = true;
-    if ( this.isType(item.id) ) continue;
-    let keys = this.getOwnPropertyNames(this.data[item.id]);
-    q.push.apply(
-      q,
-      keys.map(key => {
-        return { id: this.data[item.id][key], key: item.key + '.' + key };
-      }).concat([ {
-        id: this.getPrototype(item.id),
-        key: item.key + '.__proto__',
-      } ]).sort((a, b) => a.key.length - b.key.length)
-    );
-  }
-
-  const unrewriteName = this.nameRewriter.unrewriteName.bind(this.nameRewriter);
-  for ( const id in strs ) {
-    if ( ! strs.hasOwnProperty(id) ) continue;
-    for ( let i = 0; i < strs[id].length; i++ ) {
-      const parts = strs[id][i].split('.');
-      const unrewrittenParts = parts.map(unrewriteName);
-      strs[id][i] = unrewrittenParts.join('.');
+    let id = q[i];
+    order.set(id, i);
+    for ( let edge of this.getKeyEdges_(id) ) {
+      if ( keys.has(edge.id) ) continue;
+      keys.set(edge.id, keys.get(id) + '.' + this.unrewriteKey_(edge.part));
+      if ( ! this.isType(edge.id) ) q.push(edge.id);
+    }
+  }
+  return { keys, order };
+};
+
+// Get { id, part } for the edges from id that extend its keys: properties,
+// __proto__ and accessors. Parts are rewritten names, ordered by length;
+// parts of equal length stay in property order.
+ObjectGraph.prototype.getKeyEdges_ = function(id) {
+  let dataMap = this.data.getRow(id) || {};
+  let edges = this.data.getNames(id).map(name => {
+    return { id: dataMap[name], part: name };
+  });
+  edges.push({ id: this.getPrototype(id), part: '__proto__' });
+  let metadataMap = this.metadata && this.metadata.getRow(id) || {};
+  for ( let name of Object.keys(metadataMap) ) {
+    for ( let part in ObjectGraph.ACCESSOR_KEYS ) {
+      let accessorId = metadataMap[name][part];
+      if ( ! this.isAccessorId(accessorId) ) continue;
+      edges.push({
+        id: accessorId,
+        part: this.rewriteName(name) + '.' + ObjectGraph.ACCESSOR_KEYS[part],
+      });
     }
   }
+  return edges.sort((a, b) => a.part.length - b.part.length);
+};
 
-  return strs;
+// Unrewrite each name in key.
+ObjectGraph.prototype.unrewriteKey_ = function(key) {
+  return key.split('.').map(
+      this.nameRewriter.unrewriteName.bind(this.nameRewriter)).join('.');
 };
 
 // Interface method: Get All existing keys
@@ -679,15 +1507,8 @@ ObjectGraph.prototype.getAllKeysMap = function() {
 };
 
 ObjectGraph.prototype.getAllKeysMap_ = function() {
-  var allKeys = this.getAllKeys();
   var map = {};
-  var ids = this.getOwnPropertyNames(allKeys);
-  for ( var i = 0; i < ids.length; i++ ) {
-    var keys = allKeys[ids[i]];
-    for ( var j = 0; j < keys.length; j++ ) {
-      map[keys[j]] = 1;
-    }
-  }
+  for ( var { key } of this.iterateAllKeys() ) map[key] = 1;
   return map;
 };
 
@@ -711,13 +1532,28 @@ ObjectGraph.prototype.getSupers = function(id) {
 // from root.
 ObjectGraph.prototype.lookup_ = function(path, root) {
   var id = root, nextId;
+  // Object that holds the property looked up in the previous step, and its
+  // name; needed to resolve accessor key parts.
+  var holderId = null, holderName = null;
   for ( var i = 0; i < path.length; i++ ) {
     var name = path[i];
+    var accessorPart = this.getAccessorPart_(name);
+    if ( accessorPart ) {
+      if ( holderId === null ) return null;
+      id = this.getAccessorId(holderId, holderName, accessorPart);
+      holderId = holderName = null;
+      if ( id === null ) return null;
+      continue;
+    }
+    holderId = holderName = null;
     if ( name === '__proto__' ) {
       nextId = this.getPrototype(id);
     } else {
-      while ( ! this.isType(id) && ! ( nextId = this.data[id][name] ) )
-        id = this.getPrototype(id);
+      var property = this.findProperty_(id, name);
+      if ( property === null ) return null;
+      id = holderId = property.id;
+      holderName = property.name;
+      nextId = this.data.get(id, this.rewriteName(property.name));
     }
     if ( this.isType(id) ) return null;
     // TODO(markdittmer,): What regression was this introduced to catch?
@@ -727,19 +1563,104 @@ ObjectGraph.prototype.lookup_ = function(path, root) {
   return id || null;
 };
 
+// Find the property named name on id or its prototypes; get { id, name }
+// for the object that owns it and the property's name, or null.
+// A name such as "@@iterator" refers to a symbol-keyed property; where there
+// is none, it refers to the string-keyed property "@@iterator", which
+// getKeys() names "@@string:@@iterator".
+ObjectGraph.prototype.findProperty_ = function(id, name) {
+  // Data maps are keyed by rewritten names.
+  var storedName = this.rewriteName(name);
+  var ownerId = id;
+  while ( ownerId && ! this.isType(ownerId) &&
+          ! this.data.has(ownerId, storedName) )
+    ownerId = this.getPrototype(ownerId);
+  if ( ownerId && ! this.isType(ownerId) ) return { id: ownerId, name };
+  if ( name.startsWith(NameRewriter.SYMBOL_PREFIX) &&
+       ! name.startsWith(NameRewriter.STRING_PREFIX) )
+    return this.findProperty_(id, NameRewriter.STRING_PREFIX + name);
+  return null;
+};
+
+ObjectGraph.prototype.getAccessorPart_ = function(name) {
+  for ( var part in ObjectGraph.ACCESSOR_KEYS ) {
+    if ( name === ObjectGraph.ACCESSOR_KEYS[part] ) return part;
+  }
+  return null;
+};
+
 // Interface method: Perform property lookup over a dot-separated key.
 // E.g., .lookup("foo.bar.baz") will start with the root object, then
 // perform property lookup for "foo", then "bar", then "baz", falling back on
-// prototypes as necessary.
+// prototypes as necessary. Parts are property names as in getKeys(); see
+// NameRewriter.prototype.keyToName().
 ObjectGraph.prototype.lookup = function(key, opt_root) {
   var root = opt_root || this.root;
   return this.lookup_(key.split('.'), root);
 };
 
-// Look up metadata for a property belong to the given id.
+// Get { type, value } for the primitive referred to by a dot-separated key,
+// where value is as stored by storeValue(), or undefined if not stored.
+// Return null when key does not refer to a primitive.
+ObjectGraph.prototype.lookupStoredValue_ = function(key, opt_root) {
+  var root = opt_root || this.root;
+  var path = key.split('.');
+  var lastPart = path.pop();
+  var id = path.length > 0 ? this.lookup_(path, root) : root;
+  var property = id ? this.findProperty_(id, lastPart) : null;
+  if ( property === null ) return null;
+  id = property.id;
+  var name = this.rewriteName(property.name);
+  if ( ! this.isType(this.data.get(id, name)) ) return null;
+
+  var values = this.values && this.values[id];
+  return {
+    type: this.getType(this.data.get(id, name)),
+    value: values && values.hasOwnProperty(name) ? values[name] : undefined,
+  };
+};
+
+// Interface method: Perform lookup over a dot-separated key, as in .lookup(),
+// and return the value of the primitive it refers to. Returns undefined when
+// the key does not refer to a primitive, or its value was not captured (see
+// captureValues). Strings longer than maxStringLength are returned truncated;
+// see isValueTruncated().
+ObjectGraph.prototype.lookupValue = function(key, opt_root) {
+  var stored = this.lookupStoredValue_(key, opt_root);
+  if ( stored === null ) return undefined;
+  if ( stored.type === 'null' ) return null;
+  var value = stored.value;
+  if ( value === undefined ) return undefined;
+  if ( stored.type === 'number' && typeof value === 'string' )
+    return Number(value);
+  if ( stored.type === 'string' && typeof value === 'object' )
+    return value.truncated;
+  return value;
+};
+
+// Interface method: Was the string value returned by lookupValue() for key
+// truncated?
+ObjectGraph.prototype.isValueTruncated = function(key, opt_root) {
+  var stored = this.lookupStoredValue_(key, opt_root);
+  return stored !== null && typeof stored.value === 'object' &&
+      stored.value !== null;
+};
+
+// Interface method: Perform lookup over a complete key, as returned by
+// .getKeys(); i.e., a key that starts with the root key.
+ObjectGraph.prototype.lookupKey = function(key) {
+  if ( key === this.key ) return this.root;
+  var prefix = this.key + '.';
+  if ( ! key.startsWith(prefix) ) return null;
+  return this.lookup_(key.substr(prefix.length).split('.'), this.root);
+};
+
+// Look up metadata for a property belong to the given id. Flags are stored as
+// 0/1. When the graph was captured with captureAccessors, "get" and "set"
+// hold the ids of the accessor functions (see isAccessorId()).
 ObjectGraph.prototype.lookupMetaData = function(property, opt_id) {
   var root = opt_id || this.root;
-  return Object.assign({}, this.metadata[root][property]);
+  return Object.assign({}, this.metadata.get(root, property));
 };
 
 // What to store when invoking toJSON.
@@ -747,19 +1668,26 @@ ObjectGraph.jsonKeys = [
   'blacklistedKeys',
   'data',
   'environment',
+  'functionInfo',
   'functions',
   'key',
   'keys',
   'metadata',
+  'nameEncoding',
+  'pollution',
   'protos',
+  'provenance',
   'root',
   'timestamp',
   'toStrings',
+  'truncation',
   'types',
-  'userAgent'
+  'userAgent',
+  'values',
 ].sort();
 
-// Store minimal data for serialization.
+// Store minimal data for serialization. Data and metadata serialize in compact
+// form; see CompactTable.prototype.toJSON().
 ObjectGraph.prototype.toJSON = function() {
   var o = {};
   var keys = ObjectGraph.jsonKeys;
@@ -778,9 +1706,35 @@ ObjectGraph.fromJSON = function(o) {
     if (o.hasOwnProperty(keys[i]))
       ov[keys[i]] = o[keys[i]];
   }
+  // Accepts data and metadata in compact form or, as stored by earlier
+  // versions, as nested objects.
+  ov.data = CompactTable.fromJSON(ov.data, CompactTable.EDGES);
+  ov.metadata = CompactTable.fromJSON(ov.metadata, CompactTable.DESCRIPTORS);
+  if ( ! o.hasOwnProperty('nameEncoding') ) ov.migrateLegacyNames_();
   ov.initLazyData();
   return ov;
 };
 
+// Re-encode names stored with the legacy "+name+" encoding; see NameRewriter.
+ObjectGraph.prototype.migrateLegacyNames_ = function() {
+  var nameRewriter = this.nameRewriter;
+  var reencodeName = function(name) {
+    return nameRewriter.rewriteName(nameRewriter.decodeLegacyName(name));
+  };
+  this.data = this.data.mapNames(reencodeName);
+  var reencode = function(map) {
+    var ret = {};
+    for ( var name of Object.keys(map) ) ret[reencodeName(name)] = map[name];
+    return ret;
+  };
+  var stores = [ this.values,
+                 this.provenance && this.provenance.properties ];
+  for ( var store of stores ) {
+    if ( ! store ) continue;
+    for ( var id of Object.keys(store) ) store[id] = reencode(store[id]);
+  }
+  this.nameEncoding = NameRewriter.NAME_ENCODING;
+};
+
 
 module.exports = ObjectGraph;
@@ -0,0 +1,138 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Schedulers decide when TaskQueue.flush() runs and how much work each flush
+// may do. A scheduler implements:
+//   schedule(f): Arrange for f to be called on a later turn.
+//   start(queue): Begin a slice of work on queue. Return a function,
+//                 shouldYield(n), that is consulted after n > 0 tasks have
+//                 run in the slice and returns true to end the slice.
+
+// Schedule f on a later turn using the best primitive the host offers:
+// setImmediate in Node (no 4ms clamping on nested timers), otherwise the
+// global setTimeout, which both browsers and vm contexts provide without
+// going through window.
+var hostAsync = typeof setImmediate === 'function' ?
+    function(f) { setImmediate(f); } :
+    function(f) { setTimeout(f, 0); };
+
+var now = typeof performance !== 'undefined' && performance.now ?
+    function() { return performance.now(); } :
+    function() { return Date.now(); };
+
+// Run a fixed number of tasks per turn. Defaults to the queue's
+// maxDequeueSize.
+var CountScheduler = function(opts) {
+  opts = opts || {};
+  this.maxDequeueSize = opts.maxDequeueSize || null;
+  this.async = opts.async || hostAsync;
+};
+
+CountScheduler.prototype.schedule = function(f) {
+  this.async(f);
+};
+
+CountScheduler.prototype.start = function(queue) {
+  var max = this.maxDequeueSize || queue.maxDequeueSize;
+  return function(n) { return n >= max; };
+};
+
+// Run tasks until budget milliseconds have passed, then yield.
+var DeadlineScheduler = function(opts) {
+  opts = opts || {};
+  this.budget = opts.budget || this.budget;
+  this.async = opts.async || hostAsync;
+};
+
+// Default budget: roughly one frame at 60Hz.
+DeadlineScheduler.prototype.budget = 16;
+
+DeadlineScheduler.prototype.schedule = function(f) {
+  this.async(f);
+};
+
+DeadlineScheduler.prototype.start = function() {
+  var deadline = now() + this.budget;
+  return function() { return now() >= deadline; };
+};
+
+// Run tasks while the host reports idle time. Where requestIdleCallback is
+// unavailable (e.g., Node), behave like a DeadlineScheduler.
+var IdleScheduler = function(opts) {
+  opts = opts || {};
+  DeadlineScheduler.call(this, opts);
+  // Maximum delay (ms) before a slice is forced to run; see
+  // requestIdleCallback's timeout option.
+  this.timeout = opts.timeout || 0;
+  this.idleDeadline_ = null;
+};
+
+IdleScheduler.prototype = Object.create(DeadlineScheduler.prototype);
+IdleScheduler.prototype.constructor = IdleScheduler;
+
+IdleScheduler.prototype.schedule = function(f) {
+  if ( typeof requestIdleCallback !== 'function' ) {
+    this.async(f);
+    return;
+  }
+  requestIdleCallback(function(idleDeadline) {
+    this.idleDeadline_ = idleDeadline;
+    f();
+  }.bind(this), this.timeout ? { timeout: this.timeout } : undefined);
+};
+
+IdleScheduler.prototype.start = function() {
+  var idleDeadline = this.idleDeadline_;
+  this.idleDeadline_ = null;
+  if ( ! idleDeadline ) return DeadlineScheduler.prototype.start.call(this);
+  return function() { return idleDeadline.timeRemaining() <= 0; };
+};
+
+// Run every task to completion in a single flush. Useful for tests and for
+// Node, where nothing else competes for the thread.
+var SyncScheduler = function() {
+  this.scheduled_ = [];
+  this.running_ = false;
+};
+
+// Call f right away, unless called from a function that this scheduler is
+// already running; then, call f once that function returns. Functions that
+// schedule one another thus run in a loop rather than nesting on the stack.
+SyncScheduler.prototype.schedule = function(f) {
+  this.scheduled_.push(f);
+  if ( this.running_ ) return;
+  this.running_ = true;
+  try {
+    while ( this.scheduled_.length > 0 ) this.scheduled_.shift()();
+  } finally {
+    this.running_ = false;
+    this.scheduled_ = [];
+  }
+};
+
+SyncScheduler.prototype.start = function() {
+  return function() { return false; };
+};
+
+module.exports = {
+  hostAsync: hostAsync,
+  CountScheduler: CountScheduler,
+  DeadlineScheduler: DeadlineScheduler,
+  IdleScheduler: IdleScheduler,
+  SyncScheduler: SyncScheduler,
+};
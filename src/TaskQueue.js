@@ -17,23 +17,35 @@
 'use strict';
 
 var facade = require('facade-js');
+var Scheduler = require('./Scheduler.js');
 
-// Very simple async task queue.
+// Very simple async task queue. When and how much of the queue is flushed at a
+// time is up to opts.scheduler; see Scheduler.js.
 var TaskQueue = function(opts) {
   opts = opts || {};
   this.q = [];
   this.maxDequeueSize = opts.maxDequeueSize || this.maxDequeueSize;
   this.onTick = opts.onTick || this.onTick;
   this.onDone = opts.onDone || this.onDone;
+  this.scheduler = opts.scheduler ||
+      new Scheduler.CountScheduler({ async: opts.async });
+  this.paused = false;
+  // A flush has been handed to the scheduler and has not run yet.
+  this.pending_ = false;
+  // A flush stopped early because the queue was paused.
+  this.interrupted_ = false;
 };
 
-// Number of queued functions to run before allowing async tick.
+// Number of queued functions to run before allowing async tick, under the
+// default CountScheduler.
 TaskQueue.prototype.maxDequeueSize = 10;
 // Singleton listeners for queue-fully-flushed and async-tick.
 TaskQueue.prototype.onDone = TaskQueue.prototype.onTick = function() {};
 
-TaskQueue.prototype.async = function(f) {
-  window.setTimeout(f, 0);
+TaskQueue.prototype.schedule_ = function() {
+  if ( this.pending_ ) return;
+  this.pending_ = true;
+  this.scheduler.schedule(this.flush.bind(this));
 };
 
 // Enqueue a number of tasks.
@@ -43,15 +55,37 @@ TaskQueue.prototype.enqueue = function(/* fs */) {
   }
 };
 
-// Flush at most this.maxDequeueSize tasks.
+// Flush one scheduler-defined slice of tasks.
 TaskQueue.prototype.flush = function() {
+  this.pending_ = false;
+  if ( this.paused ) {
+    this.interrupted_ = true;
+    return;
+  }
   this.onTick();
-  for ( var i = 0; i < this.maxDequeueSize && this.q.length > 0; i++ ) {
+  var shouldYield = this.scheduler.start(this);
+  for ( var n = 0; this.q.length > 0 && ! this.paused; n++ ) {
+    // Always make progress, even when a slice starts out of time.
+    if ( n > 0 && shouldYield(n) ) break;
     var f = this.q.shift();
     f();
   }
-  if ( this.q.length > 0 ) this.async(this.flush.bind(this));
-  else                     this.onDone();
+  if ( this.q.length === 0 ) this.onDone();
+  else if ( this.paused )    this.interrupted_ = true;
+  else                       this.schedule_();
+};
+
+// Stop flushing after the currently running task.
+TaskQueue.prototype.pause = function() {
+  this.paused = true;
+};
+
+// Continue flushing where pause() left off.
+TaskQueue.prototype.resume = function() {
+  this.paused = false;
+  if ( ! this.interrupted_ ) return;
+  this.interrupted_ = false;
+  this.schedule_();
 };
 
 // Return if the task queue is empty.
@@ -59,7 +93,19 @@ TaskQueue.prototype.empty = function() {
   return this.q.length === 0;
 };
 
+// Return the number of queued tasks.
+TaskQueue.prototype.size = function() {
+  return this.q.length;
+};
+
+// Drop all queued tasks without running them.
+TaskQueue.prototype.clear = function() {
+  this.q = [];
+};
+
 module.exports = facade(TaskQueue, {
-  properties: [ 'maxDequeueSize', 'onTick', 'onDone' ],
-  methods: { enqueue: 1, flush: 1, empty: 1 },
+  properties: [ 'maxDequeueSize', 'onTick', 'onDone', 'scheduler', 'paused' ],
+  methods: {
+    enqueue: 1, flush: 1, empty: 1, size: 1, clear: 1, pause: 1, resume: 1,
+  },
 });
@@ -16,6 +16,10 @@
  */
 'use strict';
 
+const CompatMatrix = require('./CompatMatrix.es6.js');
+const DiffReport = require('./DiffReport.es6.js');
+const NameRewriter = require('./NameRewriter.js');
+
 function* objectGraphGenerator(graph) {
   for ( let id of graph.getAllIds() ) yield id;
 }
@@ -44,6 +48,150 @@ function firstAnyGraphMatcher(id1, g1, g2) {
   return !!g2.getAllKeysMap()[g1.getShortestKey(id1)];
 }
 
+// Vendor prefixes stripped by aliasGraphMatcher(): lower-case prefixes
+// precede names of members ("webkitRequestAnimationFrame") and of some
+// interfaces ("webkitURL", "webkitAudioContext"), capitalized ones names of
+// interfaces ("WebKitMutationObserver"). Opera's "o" prefix is not stripped:
+// it is indistinguishable from names such as "OES_texture_float".
+const VENDOR_PREFIX_REG_EXPS = [
+  { re: /^(webkit|moz|ms)([A-Z].*)$/, lowerFirst: true },
+  { re: /^(WebKit|Moz|MS)([A-Z].*)$/, lowerFirst: false },
+];
+
+// Make a graph matcher that, like anyAnyGraphMatcher, matches objects that
+// share a key, but compares keys part by part after normalizing names:
+//   - Names in opts.aliases, a map of name => canonical name, are replaced by
+//     their canonical names.
+//   - Otherwise, vendor prefixes (see VENDOR_PREFIX_REG_EXPS) are stripped,
+//     and the stripped name is looked up in opts.aliases, as above. Names
+//     stripped of a lower-case prefix may stand for members or interfaces,
+//     so both "requestAnimationFrame" and "RequestAnimationFrame" are tried.
+// Each object that the matcher matches is reported once per pair of graphs,
+// to opts.onMatch and in the matcher's .matches list, as
+//   { id, key1, key2, reason, renames: [{ from, to, reason }] }
+// where reason is "identical", "vendor-prefix" or "alias" (when any renamed
+// part involved an alias). The matcher's .findMatch(id1, g1, g2) returns such
+// a match, or null.
+function aliasGraphMatcher(opts = {}) {
+  const aliases = opts.aliases || {};
+  const getAlias = name => Object.prototype.hasOwnProperty.call(aliases, name) ?
+        aliases[name] : null;
+
+  // Get { names, reason } for the canonical forms of a key part, most likely
+  // first.
+  const normalizePart = part => {
+    let alias = getAlias(part);
+    if ( alias !== null ) return { names: [ alias ], reason: 'alias' };
+    for ( const { re, lowerFirst } of VENDOR_PREFIX_REG_EXPS ) {
+      const match = part.match(re);
+      if ( match === null ) continue;
+      const stripped = lowerFirst ? [
+        match[2].charAt(0).toLowerCase() + match[2].substr(1),
+        match[2],
+      ] : [ match[2] ];
+      let reason = 'vendor-prefix';
+      const names = [];
+      for ( let name of stripped ) {
+        alias = getAlias(name);
+        if ( alias !== null ) {
+          name = alias;
+          reason = 'alias';
+        }
+        if ( names.indexOf(name) === -1 ) names.push(name);
+      }
+      return { names, reason };
+    }
+    return { names: [ part ], reason: null };
+  };
+  // Get the canonical forms of a key: one per combination of the canonical
+  // forms of its parts.
+  const normalizeKey = key => key.split('.').reduce((keys, part) => {
+    const names = normalizePart(part).names;
+    if ( keys === null ) return names;
+    const ret = [];
+    for ( const prefix of keys ) {
+      for ( const name of names ) ret.push(`${prefix}.${name}`);
+    }
+    return ret;
+  }, null);
+
+  // Map of g2 => Map of normalized key => first key in g2.
+  const normalizedKeys = new WeakMap();
+  const getNormalizedKeys = g2 => {
+    if ( ! normalizedKeys.has(g2) ) {
+      const map = new Map();
+      for ( const key of Object.keys(g2.getAllKeysMap()).sort() ) {
+        for ( const normalized of normalizeKey(key) )
+          if ( ! map.has(normalized) ) map.set(normalized, key);
+      }
+      normalizedKeys.set(g2, map);
+    }
+    return normalizedKeys.get(g2);
+  };
+
+  const describeMatch = (id, key1, key2) => {
+    const parts1 = key1.split('.');
+    const parts2 = key2.split('.');
+    const renames = [];
+    for ( let i = 0; i < parts1.length; i++ ) {
+      if ( parts1[i] === parts2[i] ) continue;
+      const isAlias = normalizePart(parts1[i]).reason === 'alias' ||
+          normalizePart(parts2[i]).reason === 'alias';
+      renames.push({ from: parts1[i], to: parts2[i],
+                     reason: isAlias ? 'alias' : 'vendor-prefix' });
+    }
+    const reason = renames.length === 0 ? 'identical' :
+        renames.some(rename => rename.reason === 'alias') ?
+        'alias' : 'vendor-prefix';
+    return { id, key1, key2, reason, renames };
+  };
+
+  const findNewMatch = (id1, g1, g2) => {
+    const keysMap = g2.getAllKeysMap();
+    const keys = g1.getKeys(id1);
+    // Prefer identical keys.
+    const key1 = keys.find(key => keysMap[key]);
+    if ( key1 !== undefined ) return describeMatch(id1, key1, key1);
+    const normalized = getNormalizedKeys(g2);
+    for ( const key of keys ) {
+      for ( const normalizedKey of normalizeKey(key) ) {
+        const key2 = normalized.get(normalizedKey);
+        if ( key2 !== undefined ) return describeMatch(id1, key, key2);
+      }
+    }
+    return null;
+  };
+
+  // Map of g1 => Map of g2 => Map of id => reported match.
+  const reported = new WeakMap();
+  const getReported = (g1, g2) => {
+    if ( ! reported.has(g1) ) reported.set(g1, new WeakMap());
+    if ( ! reported.get(g1).has(g2) ) reported.get(g1).set(g2, new Map());
+    return reported.get(g1).get(g2);
+  };
+
+  // Reported matches are reused, rather than found again; e.g., by
+  // counterpartId(), which calls the matcher and then findMatch().
+  const findMatch = (id1, g1, g2) => {
+    const match = getReported(g1, g2).get(id1);
+    return match === undefined ? findNewMatch(id1, g1, g2) : match;
+  };
+
+  const matcher = (id1, g1, g2) => {
+    const matches = getReported(g1, g2);
+    if ( matches.has(id1) ) return true;
+    const match = findNewMatch(id1, g1, g2);
+    if ( match === null ) return false;
+    matches.set(id1, match);
+    matcher.matches.push(match);
+    if ( opts.onMatch ) opts.onMatch(match, g1, g2);
+    return true;
+  };
+  matcher.matches = [];
+  matcher.findMatch = findMatch;
+  return matcher;
+}
+
 function intersectionIds1(g1, g2, match = anyAnyGraphMatcher) {
   let gen1 = objectGraphGenerator(g1);
   let ret = [];
@@ -75,6 +223,93 @@ function lookupNeq(id1, key, g1, g2) {
   return !lookupEq(id1, key, g1, g2);
 }
 
+// Compare the captured values of property key of id1 in g1 and of id2 in g2.
+// Values that were not captured compare equal, as do truncated strings that
+// agree up to truncation.
+function valueEq(id1, g1, id2, g2, key) {
+  let value1 = g1.lookupValue(key, id1);
+  let value2 = id2 === null ? undefined : g2.lookupValue(key, id2);
+  if ( value1 === undefined || value2 === undefined ) return true;
+  if ( g1.isValueTruncated(key, id1) || g2.isValueTruncated(key, id2) ) {
+    let length = Math.min(value1.length, value2.length);
+    return value1.substr(0, length) === value2.substr(0, length);
+  }
+  return Object.is(value1, value2);
+}
+
+// Property matcher: do property key of id1 in g1 and the same property in g2
+// have the same type and, where both graphs captured it, the same value?
+function lookupValueEq(id1, key, g1, g2) {
+  return lookupEq(id1, key, g1, g2) &&
+      valueEq(id1, g1, g2.lookupKey(g1.getShortestKey(id1)), g2, key);
+}
+
+// Render a captured primitive value for a DiffReport.
+function formatValue(value) {
+  if ( typeof value === 'string' ) return JSON.stringify(value);
+  if ( Object.is(value, -0) ) return '-0';
+  return String(value);
+}
+
+// Get metadata for property key of id, looking up the prototype chain for the
+// object that owns the property. Return null if no owner is found.
+function lookupDescriptor(graph, id, key) {
+  while ( id && ! graph.isType(id) ) {
+    let metadata = graph.lookupMetaData(key, id);
+    if ( Object.keys(metadata).length > 0 ) return metadata;
+    id = graph.getPrototype(id);
+  }
+  return null;
+}
+
+// Summarize descriptor metadata as the attributes compared across graphs:
+//   kind: "data" or "accessor".
+//   readonly: non-writable data property, or accessor without a setter.
+//   enumerable, configurable: as in the descriptor.
+function descriptorAttributes(metadata) {
+  let isAccessor = metadata.hasOwnProperty('get') ||
+      metadata.hasOwnProperty('set');
+  return {
+    kind: isAccessor ? 'accessor' : 'data',
+    readonly: isAccessor ? !metadata.set : !metadata.writable,
+    enumerable: !!metadata.enumerable,
+    configurable: !!metadata.configurable,
+  };
+}
+
+// Get [{ attribute, from, to }] for attributes that differ between two
+// properties' metadata.
+function descriptorChanges(metadata1, metadata2) {
+  let attrs1 = descriptorAttributes(metadata1);
+  let attrs2 = descriptorAttributes(metadata2);
+  return Object.keys(attrs1)
+      .filter(attribute => attrs1[attribute] !== attrs2[attribute])
+      .map(attribute => ({
+        attribute,
+        from: attrs1[attribute],
+        to: attrs2[attribute],
+      }));
+}
+
+// Property matcher: do property key of id1 in g1 and the same property in g2
+// have the same descriptor attributes?
+function descriptorEq(id1, key, g1, g2) {
+  let metadata1 = lookupDescriptor(g1, id1, key);
+  let metadata2 = lookupDescriptor(
+      g2, g2.lookupKey(g1.getShortestKey(id1)), key);
+  if ( metadata1 === null || metadata2 === null )
+    return metadata1 === metadata2;
+  return descriptorChanges(metadata1, metadata2).length === 0;
+}
+
+function lookupDescriptorEq(id1, key, g1, g2) {
+  return lookupEq(id1, key, g1, g2) && descriptorEq(id1, key, g1, g2);
+}
+
+function lookupDescriptorNeq(id1, key, g1, g2) {
+  return !lookupDescriptorEq(id1, key, g1, g2);
+}
+
 function matchPrimitives(g1, g2, match = lookupEq) {
   let primitives = [];
   for ( let id1 of objectGraphGenerator(g1) ) {
@@ -87,29 +322,284 @@ function matchPrimitives(g1, g2, match = lookupEq) {
   return primitives;
 }
 
-function intersection(g1, g2, match = anyAnyGraphMatcher) {
+// Objects are aligned using match; primitives are kept when they satisfy
+// propertyMatch (e.g., lookupEq or lookupDescriptorEq).
+function intersection(g1, g2, match = anyAnyGraphMatcher,
+                      propertyMatch = lookupEq) {
   let g3 = g1.cloneWithout(differenceIds1(g1, g2, match));
-  return g3.removePrimitives(matchPrimitives(g3, g2, lookupNeq));
+  return g3.removePrimitives(matchPrimitives(
+      g3, g2, (...args) => !propertyMatch(...args)));
 }
 
-function difference(g1, g2, match = anyAnyGraphMatcher) {
+function difference(g1, g2, match = anyAnyGraphMatcher,
+                    propertyMatch = lookupEq) {
   let g3 = g1.cloneWithout(intersectionIds1(g1, g2, match));
-  return g3.removePrimitives(matchPrimitives(g3, g2, lookupEq));
+  return g3.removePrimitives(matchPrimitives(g3, g2, propertyMatch));
 }
 
-function intersectDifference(inGraphs, exGraphs, match = anyAnyGraphMatcher) {
+// Variants of intersection() and difference() that treat primitives whose
+// descriptors disagree as different.
+function descriptorIntersection(g1, g2, match = anyAnyGraphMatcher) {
+  return intersection(g1, g2, match, lookupDescriptorEq);
+}
+
+function descriptorDifference(g1, g2, match = anyAnyGraphMatcher) {
+  return difference(g1, g2, match, lookupDescriptorEq);
+}
+
+function intersectDifference(inGraphs, exGraphs, match = anyAnyGraphMatcher,
+                             propertyMatch = lookupEq) {
   // Must start with some graph.
   console.assert(inGraphs.length > 0);
   // Edge case: Clone lone graph when no other graphs passed in.
   if ( inGraphs.length === 1 && exGraphs.length === 0 )
     return inGraphs[0].clone();
 
-  return exGraphs.reduce((g1, g2) => difference(g1, g2, match),
-    inGraphs.reduce((g1, g2)=> intersection(g1, g2, match)));
+  return exGraphs.reduce(
+      (g1, g2) => difference(g1, g2, match, propertyMatch),
+      inGraphs.reduce(
+          (g1, g2) => intersection(g1, g2, match, propertyMatch)));
+}
+
+// Merge graphs into one graph that records which of them contained each
+// object and property (see ObjectGraph.prototype.getSources() and
+// getPropertySources()). Objects are aligned using opts.match (default:
+// anyAnyGraphMatcher). Sources are labeled by opts.labels, or by each graph's
+// userAgent or, failing that, its index.
+function union(graphs, opts = {}) {
+  console.assert(graphs.length > 0);
+  const match = opts.match || anyAnyGraphMatcher;
+  const labels = opts.labels ||
+      graphs.map((graph, i) => graph.userAgent || String(i));
+
+  const g3 = graphs[0].clone();
+  g3.initProvenance(labels[0]);
+  for ( let i = 1; i < graphs.length; i++ ) {
+    const idMap = new Map();
+    for ( const id of graphs[i].getAllIds() ) {
+      const id3 = counterpartId(id, graphs[i], g3, match);
+      if ( id3 !== null ) idMap.set(id, id3);
+    }
+    g3.mergeGraph(graphs[i], idMap, labels[i]);
+  }
+  return g3;
+}
+
+// Get the id in g2 of the object that match(id1, g1, g2) aligns with id1, or
+// null if there is none.
+function counterpartId(id1, g1, g2, match = anyAnyGraphMatcher) {
+  if ( ! match(id1, g1, g2) ) return null;
+  // Matchers that rename keys (see aliasGraphMatcher()) say which key to use.
+  if ( match.findMatch ) {
+    let id2 = g2.lookupKey(match.findMatch(id1, g1, g2).key2);
+    return id2 !== null && ! g2.isType(id2) ? id2 : null;
+  }
+  let keys = match === firstAnyGraphMatcher ?
+      [ g1.getShortestKey(id1) ] : g1.getKeys(id1);
+  let keysMap = g2.getAllKeysMap();
+  for ( let key of keys ) {
+    if ( ! keysMap[key] ) continue;
+    // Key may refer to a primitive in g2; e.g., a method became a getter.
+    let id2 = g2.lookupKey(key);
+    if ( id2 !== null && ! g2.isType(id2) ) return id2;
+  }
+  return null;
+}
+
+// Get a Map of unrewritten name => id for the own properties of id.
+function ownProperties(graph, id) {
+  let props = graph.getPropertiesIds(id);
+  let ret = new Map();
+  for ( let name of Object.keys(props).sort() ) {
+    ret.set(graph.nameRewriter.unrewriteName(name), props[name]);
+  }
+  return ret;
+}
+
+// Drop entries of the given type that lie under another entry of that type;
+// e.g., report a removed interface once rather than once per member.
+function collapseEntries(entries) {
+  let keys = new Set(entries.map(entry => entry.key));
+  return entries.filter(entry => {
+    let parts = entry.key.split('.');
+    for ( let i = parts.length - 1; i > 0; i-- ) {
+      if ( keys.has(parts.slice(0, i).join('.')) ) return false;
+    }
+    return true;
+  });
+}
+
+// Compare id1 in g1 to its counterpart, id2 in g2, and add differences to
+// report.
+function diffObjects(id1, g1, id2, g2, report, match) {
+  const types = DiffReport.types;
+  const key = g1.getShortestKey(id1);
+  const props1 = ownProperties(g1, id1);
+  const props2 = ownProperties(g2, id2);
+  // Object-valued properties whose objects are unmatched are reported as
+  // object additions/removals instead.
+  const isReported = (value, g, otherG) =>
+      g.isType(value) || match(value, g, otherG);
+
+  for ( let [ name, value1 ] of props1 ) {
+    if ( ! props2.has(name) ) {
+      if ( isReported(value1, g1, g2) )
+        report.add({ type: types.PROPERTY_REMOVED, key: `${key}.${name}` });
+      continue;
+    }
+    let value2 = props2.get(name);
+    let type1 = g1.getType(value1);
+    let type2 = g2.getType(value2);
+    if ( type1 !== type2 ) {
+      report.add({
+        type: types.TYPE_CHANGED,
+        key: `${key}.${name}`,
+        from: type1,
+        to: type2,
+      });
+    } else if ( g1.isType(value1) && ! valueEq(id1, g1, id2, g2, name) ) {
+      report.add({
+        type: types.VALUE_CHANGED,
+        key: `${key}.${name}`,
+        from: formatValue(g1.lookupValue(name, id1)),
+        to: formatValue(g2.lookupValue(name, id2)),
+      });
+    }
+    let metadata1 = g1.lookupMetaData(name, id1);
+    let metadata2 = g2.lookupMetaData(name, id2);
+    if ( Object.keys(metadata1).length === 0 ||
+         Object.keys(metadata2).length === 0 ) continue;
+    for ( let change of descriptorChanges(metadata1, metadata2) ) {
+      report.add(Object.assign(
+          { type: types.DESCRIPTOR_CHANGED, key: `${key}.${name}` }, change));
+    }
+  }
+  for ( let [ name, value2 ] of props2 ) {
+    if ( props1.has(name) ) continue;
+    if ( isReported(value2, g2, g1) )
+      report.add({ type: types.PROPERTY_ADDED, key: `${key}.${name}` });
+  }
+
+  let proto1 = g1.getPrototype(id1);
+  let proto2 = g2.getPrototype(id2);
+  let protoChanged = g1.isType(proto1) || g2.isType(proto2) ?
+      proto1 !== proto2 : counterpartId(proto1, g1, g2, match) !== proto2;
+  if ( protoChanged ) {
+    report.add({
+      type: types.PROTOTYPE_CHANGED,
+      key,
+      from: g1.isType(proto1) ? g1.getType(proto1) : g1.getShortestKey(proto1),
+      to: g2.isType(proto2) ? g2.getType(proto2) : g2.getShortestKey(proto2),
+    });
+  }
+
+  if ( g1.isFunction(id1) && g2.isFunction(id2) &&
+       g1.getFunctionName(id1) !== g2.getFunctionName(id2) ) {
+    report.add({
+      type: types.FUNCTION_NAME_CHANGED,
+      key,
+      from: g1.getFunctionName(id1),
+      to: g2.getFunctionName(id2),
+    });
+  }
+}
+
+// Produce a DiffReport of changes going from g1 to g2. Objects are aligned
+// using match, as in intersection() and difference().
+function diff(g1, g2, match = anyAnyGraphMatcher) {
+  const types = DiffReport.types;
+  let report = new DiffReport();
+
+  let removed = [];
+  for ( let id1 of objectGraphGenerator(g1) ) {
+    let id2 = counterpartId(id1, g1, g2, match);
+    if ( id2 === null ) {
+      removed.push({ type: types.OBJECT_REMOVED, key: g1.getShortestKey(id1) });
+    } else {
+      diffObjects(id1, g1, id2, g2, report, match);
+    }
+  }
+  let added = [];
+  for ( let id2 of objectGraphGenerator(g2) ) {
+    if ( ! match(id2, g2, g1) )
+      added.push({ type: types.OBJECT_ADDED, key: g2.getShortestKey(id2) });
+  }
+  collapseEntries(removed).concat(collapseEntries(added))
+      .forEach(entry => report.add(entry));
+
+  return report.sort();
+}
+
+// Trace when each key appears and disappears across graphs, successive
+// captures of one browser. Graphs are ordered by browser version, as parsed
+// from their userAgent by opts.nameRewriter (default: that of the first
+// graph). Throws when graphs come from different browsers, whose versions
+// cannot be ordered against each other. Returns { versions, keys }, where
+// versions lists the ordered versions and keys maps every key seen to:
+//   { added: <first version with key>,
+//     removed: [<versions in which key disappeared>],
+//     reappeared: [<versions in which key came back after disappearing>] }
+function lifecycle(graphs, opts = {}) {
+  console.assert(graphs.length > 0);
+  const nameRewriter = opts.nameRewriter || graphs[0].nameRewriter;
+  const captures = graphs.map(graph => {
+    const info = nameRewriter.userAgentAsPlatformInfo(graph.userAgent || '');
+    return {
+      browser: info.browser ? info.browser.name : null,
+      version: info.browser ? info.browser.version : null,
+      keysMap: graph.getAllKeysMap(),
+    };
+  }).sort((a, b) => NameRewriter.compareVersions(a.version, b.version));
+  const browsers = Array.from(new Set(captures.map(c => c.browser)));
+  if ( browsers.length > 1 )
+    throw new Error('Lifecycle of captures from different browsers: ' +
+                    browsers.join(', '));
+
+  const versions = captures.map(capture => capture.version);
+  const entries = new Map();
+  const lastSeen = new Map();
+  captures.forEach((capture, i) => {
+    for ( const key of Object.keys(capture.keysMap) ) {
+      if ( ! entries.has(key) ) {
+        entries.set(key, { added: versions[i], removed: [], reappeared: [] });
+      } else if ( lastSeen.get(key) < i - 1 ) {
+        entries.get(key).removed.push(versions[lastSeen.get(key) + 1]);
+        entries.get(key).reappeared.push(versions[i]);
+      }
+      lastSeen.set(key, i);
+    }
+  });
+
+  const keys = {};
+  for ( const key of Array.from(entries.keys()).sort() ) {
+    const entry = entries.get(key);
+    if ( lastSeen.get(key) < captures.length - 1 )
+      entry.removed.push(versions[lastSeen.get(key) + 1]);
+    keys[key] = entry;
+  }
+  return { versions, keys };
+}
+
+// Build a CompatMatrix of key support across graphs, aligning objects using
+// match. See CompatMatrix for other options.
+function compatMatrix(graphs, opts = {}) {
+  return new CompatMatrix(
+      graphs, Object.assign({ match: anyAnyGraphMatcher }, opts));
 }
 
 module.exports = {
   anyAnyGraphMatcher,
   firstAnyGraphMatcher,
+  aliasGraphMatcher,
+  lookupEq,
+  lookupValueEq,
+  lookupDescriptorEq,
+  descriptorEq,
+  descriptorIntersection,
+  descriptorDifference,
   intersectDifference,
+  union,
+  lifecycle,
+  diff,
+  compatMatrix,
 };
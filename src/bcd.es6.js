@@ -0,0 +1,183 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Export graphs to MDN browser-compat-data (BCD) JSON:
+//   { api: { Interface: { __compat: { support: { chrome: {
+//       version_added: "60" } } }, member: { __compat: ... } } } }
+
+const NameRewriter = require('./NameRewriter.js');
+const interfaces = require('./interfaces.es6.js');
+
+// Get the BCD browser id for { browser, platform } info, as from
+// NameRewriter.prototype.userAgentAsPlatformInfo(), or null if BCD does not
+// track the browser.
+function getBrowserId(info) {
+  if ( ! info.browser ) return null;
+  const platform = info.platform ? info.platform.name : '';
+  const isAndroid = platform === 'Android';
+  const isIOS = platform === 'iPhone' || platform === 'iPad';
+  switch ( info.browser.name ) {
+    case 'Chrome':
+      return isAndroid ? 'chrome_android' : isIOS ? null : 'chrome';
+    case 'Firefox':
+      return isAndroid ? 'firefox_android' : isIOS ? null : 'firefox';
+    case 'Safari': return isIOS ? 'safari_ios' : 'safari';
+    case 'Opera': return isAndroid ? 'opera_android' : 'opera';
+    case 'Edge': return 'edge';
+    case 'Samsung': return 'samsunginternet_android';
+    case 'IE': return 'ie';
+    default: return null;
+  }
+}
+
+// Format a version as BCD does: major, plus minor when non-zero; e.g.,
+// "70.0.3538.77" => "70", "12.1.2" => "12.1".
+function formatVersion(version) {
+  const parts = version.split('.').slice(0, 2);
+  if ( parts.length > 1 && parseInt(parts[1]) === 0 ) parts.pop();
+  return parts.join('.');
+}
+
+// Get { featurePath: true } of BCD feature paths ("api.Interface" and
+// "api.Interface.member") exposed by graph.
+function getFeatures(graph) {
+  const features = Object.create(null);
+  for ( const iface of interfaces.getInterfaces(graph) ) {
+    features[`api.${iface.name}`] = true;
+    for ( const member of interfaces.getMembers(graph, iface) ) {
+      features[`api.${iface.name}.${member.name}`] = true;
+    }
+  }
+  return features;
+}
+
+// Member names may shadow Object.prototype (e.g., "hasOwnProperty", or
+// "__proto__"), so own properties are tested and set without relying on it.
+function hasOwn(o, key) {
+  return Object.prototype.hasOwnProperty.call(o, key);
+}
+function setOwn(o, key, value) {
+  Object.defineProperty(o, key, {
+    value, writable: true, enumerable: true, configurable: true,
+  });
+}
+
+// Get or create the object at path (an array of keys) within root.
+function ensurePath(root, path) {
+  let o = root;
+  for ( const part of path ) {
+    if ( ! hasOwn(o, part) ) setOwn(o, part, {});
+    o = o[part];
+  }
+  return o;
+}
+
+// Build BCD JSON from graphs. Graphs are grouped by browser (see
+// getBrowserId()) and ordered by version. For each feature, version_added is
+// the earliest captured version that has it (false when none does), and
+// version_removed is set when the latest captured version lacks it.
+// Supported options:
+//   nameRewriter: NameRewriter used to parse user agents.
+//   getBrowserId: Override getBrowserId().
+function toBCD(graphs, opts = {}) {
+  const nameRewriter = opts.nameRewriter || new NameRewriter();
+  const browserIdOf = opts.getBrowserId || getBrowserId;
+
+  // Map of browser id => [{ version, features }], sorted by version.
+  const browsers = {};
+  for ( const graph of graphs ) {
+    const info = nameRewriter.userAgentAsPlatformInfo(graph.userAgent || '');
+    const browserId = browserIdOf(info);
+    if ( browserId === null ) {
+      console.warn('Skipping graph of unknown browser:', graph.userAgent);
+      continue;
+    }
+    browsers[browserId] = browsers[browserId] || [];
+    browsers[browserId].push({
+      version: formatVersion(info.browser.version),
+      features: getFeatures(graph),
+    });
+  }
+
+  const allFeatures = Object.create(null);
+  for ( const browserId of Object.keys(browsers) ) {
+    browsers[browserId].sort(
+        (a, b) => NameRewriter.compareVersions(a.version, b.version));
+    for ( const capture of browsers[browserId] )
+      Object.assign(allFeatures, capture.features);
+  }
+
+  const bcd = {};
+  for ( const featurePath of Object.keys(allFeatures).sort() ) {
+    const feature = ensurePath(bcd, featurePath.split('.'));
+    const support = ensurePath(feature, [ '__compat', 'support' ]);
+    for ( const browserId of Object.keys(browsers).sort() ) {
+      support[browserId] =
+          getSupportStatement(browsers[browserId], featurePath);
+    }
+  }
+  return bcd;
+}
+
+// Get a BCD support statement for featurePath from captures of one browser,
+// sorted by version.
+function getSupportStatement(captures, featurePath) {
+  const supported = captures.map(capture => !!capture.features[featurePath]);
+  const firstIdx = supported.indexOf(true);
+  if ( firstIdx === -1 ) return { version_added: false };
+  const statement = { version_added: captures[firstIdx].version };
+  const lastIdx = supported.lastIndexOf(true);
+  if ( lastIdx < captures.length - 1 )
+    statement.version_removed = captures[lastIdx + 1].version;
+  return statement;
+}
+
+// Merge generated BCD JSON into existing BCD JSON, in place, and return
+// existing. Support statements already present in existing are manual
+// entries and are kept, unless their version_added is null (unknown).
+function mergeBCD(existing, generated) {
+  for ( const key of Object.keys(generated) ) {
+    if ( ! hasOwn(existing, key) ) {
+      setOwn(existing, key, generated[key]);
+      continue;
+    }
+    if ( key === 'support' ) {
+      mergeSupport(existing[key], generated[key]);
+    } else if ( typeof generated[key] === 'object' &&
+                typeof existing[key] === 'object' ) {
+      mergeBCD(existing[key], generated[key]);
+    }
+  }
+  return existing;
+}
+
+function mergeSupport(existing, generated) {
+  for ( const browserId of Object.keys(generated) ) {
+    const statement = hasOwn(existing, browserId) ?
+        existing[browserId] : undefined;
+    if ( statement === undefined ||
+         ( ! Array.isArray(statement) && statement.version_added === null ) )
+      existing[browserId] = generated[browserId];
+  }
+}
+
+module.exports = {
+  getBrowserId,
+  toBCD,
+  mergeBCD,
+};
@@ -0,0 +1,254 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Check a graph against WebIDL definitions. Interfaces and namespaces are
+// matched by name against the graph's root. Members are reported by key:
+// "Interface.prototype.member" for regular members, "Interface.member" for
+// static members and namespace members.
+
+const interfaces = require('./interfaces.es6.js');
+
+// Members implied by declarations other than regular members.
+const ITERABLE_MEMBERS = [ '@@iterator', 'entries', 'forEach', 'keys',
+                           'values' ];
+const ASYNC_ITERABLE_MEMBERS = [ '@@asyncIterator', 'values' ];
+const MAPLIKE_MEMBERS = ITERABLE_MEMBERS.concat([ 'get', 'has', 'size' ]);
+const MAPLIKE_WRITABLE_MEMBERS = [ 'clear', 'delete', 'set' ];
+const SETLIKE_MEMBERS = ITERABLE_MEMBERS.concat([ 'has', 'size' ]);
+const SETLIKE_WRITABLE_MEMBERS = [ 'add', 'clear', 'delete' ];
+
+// Members of every interface prototype object that WebIDL does not declare.
+const IMPLICIT_MEMBERS = [ '@@toStringTag' ];
+
+// Parse WebIDL sources, [{ name, text }], into a spec for check():
+//   { interfaces: Map of name => definition, namespaces: Map ... }
+// Each definition is { name, exposed, global, noInterfaceObject, members },
+// where members is a Map of key suffix ("prototype.x" or "x") =>
+// { exposed, unforgeable }. Partial interfaces and mixins are merged into
+// the interfaces they extend.
+function parse(sources) {
+  const asts = [];
+  // Loaded on first use: most users of this package never parse WebIDL.
+  const webidl2 = require('webidl2');
+  for ( const source of sources ) {
+    try {
+      asts.push(webidl2.parse(source.text));
+    } catch (e) {
+      throw new Error(`Failed to parse WebIDL in ${source.name}: ${e.message}`);
+    }
+  }
+  const definitions = [].concat.apply([], asts);
+
+  const spec = { interfaces: new Map(), namespaces: new Map() };
+  const mixins = new Map();
+  const getDefinition = (map, name) => {
+    if ( ! map.has(name) ) {
+      map.set(name, { name, exposed: null, global: false,
+                      noInterfaceObject: false, members: new Map() });
+    }
+    return map.get(name);
+  };
+
+  for ( const def of definitions ) {
+    let map;
+    if ( def.type === 'interface' ) map = spec.interfaces;
+    else if ( def.type === 'namespace' ) map = spec.namespaces;
+    else if ( def.type === 'interface mixin' ) map = mixins;
+    else continue;
+
+    const target = getDefinition(map, def.name);
+    const exposed = getExposed(def);
+    if ( ! def.partial ) {
+      target.exposed = exposed;
+      target.global = hasExtAttr(def, 'Global');
+      target.noInterfaceObject = hasExtAttr(def, 'LegacyNoInterfaceObject') ||
+          hasExtAttr(def, 'NoInterfaceObject');
+    }
+    addMembers(target, def, exposed, def.type === 'namespace');
+  }
+
+  // Mixin members carry their own exposure, or that of the mixin or the
+  // mixin's partials; members with none of these inherit the exposure of the
+  // including interface.
+  for ( const def of definitions ) {
+    if ( def.type !== 'includes' || ! mixins.has(def.includes) ) continue;
+    const mixin = mixins.get(def.includes);
+    const target = getDefinition(spec.interfaces, def.target);
+    for ( const [ suffix, member ] of mixin.members ) {
+      target.members.set(suffix, Object.assign({}, member, {
+        exposed: member.exposed || mixin.exposed || target.exposed,
+      }));
+    }
+  }
+  return spec;
+}
+
+function hasExtAttr(node, name) {
+  return !!node.extAttrs && node.extAttrs.some(attr => attr.name === name);
+}
+
+// Get the global names of node's [Exposed] extended attribute, "*", or null
+// when it has none.
+function getExposed(node) {
+  const attr = node.extAttrs &&
+      node.extAttrs.find(attr => attr.name === 'Exposed');
+  if ( ! attr || ! attr.rhs ) return null;
+  if ( attr.rhs.type === '*' ) return '*';
+  const values = Array.isArray(attr.rhs.value) ? attr.rhs.value : [ attr.rhs ];
+  return values.map(value => value.value);
+}
+
+// Add the members declared by def to target. Members without an [Exposed]
+// of their own inherit exposed, the exposure of def.
+function addMembers(target, def, exposed, isNamespace) {
+  const add = (name, isStatic, member) => {
+    const suffix = isStatic || isNamespace ? name : `prototype.${name}`;
+    target.members.set(suffix, {
+      exposed: ( member && getExposed(member) ) || exposed,
+      unforgeable: !!member && ( hasExtAttr(member, 'LegacyUnforgeable') ||
+                                 hasExtAttr(member, 'Unforgeable') ||
+                                 hasExtAttr(def, 'LegacyUnforgeable') ),
+    });
+  };
+
+  for ( const member of def.members ) {
+    switch ( member.type ) {
+      case 'const':
+        // Constants are exposed on both the interface object and prototype.
+        add(member.name, true, member);
+        add(member.name, false, member);
+        break;
+      case 'attribute':
+      case 'operation':
+        if ( member.name )
+          add(member.name, member.special === 'static', member);
+        if ( member.special === 'stringifier' ) add('toString', false, member);
+        if ( hasExtAttr(member, 'Unscopable') ) add('@@unscopables', false);
+        break;
+      case 'iterable':
+      case 'async_iterable':
+        if ( member.async || member.type === 'async_iterable' ) {
+          ASYNC_ITERABLE_MEMBERS.forEach(name => add(name, false));
+          if ( member.idlType.length > 1 ) {
+            add('entries', false);
+            add('keys', false);
+          }
+        } else {
+          ITERABLE_MEMBERS.forEach(name => add(name, false));
+        }
+        break;
+      case 'maplike':
+        MAPLIKE_MEMBERS.forEach(name => add(name, false));
+        if ( ! member.readonly )
+          MAPLIKE_WRITABLE_MEMBERS.forEach(name => add(name, false));
+        break;
+      case 'setlike':
+        SETLIKE_MEMBERS.forEach(name => add(name, false));
+        if ( ! member.readonly )
+          SETLIKE_WRITABLE_MEMBERS.forEach(name => add(name, false));
+        break;
+    }
+  }
+}
+
+// Is something with the given exposure available in a realm whose global
+// object is one of globals? Definitions without [Exposed] are assumed to be
+// available everywhere.
+function isExposed(exposed, globals) {
+  if ( exposed === null || exposed === '*' ) return true;
+  return exposed.some(name => globals.indexOf(name) !== -1);
+}
+
+// Check graph against spec, from parse() or loadDirectory() (see
+// nodeFiles.es6.js). Supported options:
+//   globals: Names of the [Global] interfaces that the graph's root
+//            implements (default: [ "Window" ]). Only definitions exposed on
+//            one of them are checked.
+// Returns sorted lists of keys:
+//   { missingInterfaces, missingMembers, unspecifiedInterfaces,
+//     unspecifiedMembers }
+// Members marked [LegacyUnforgeable] live on instances rather than
+// prototypes, so they are never reported missing.
+function check(graph, spec, opts = {}) {
+  const globals = opts.globals || [ 'Window' ];
+  const root = graph.getRoot();
+  const report = { missingInterfaces: [], missingMembers: [],
+                   unspecifiedInterfaces: [], unspecifiedMembers: [] };
+
+  const captured = new Map(
+      interfaces.getInterfaces(graph).map(iface => [ iface.name, iface ]));
+  for ( const def of spec.interfaces.values() ) {
+    if ( ! isExposed(def.exposed, globals) ) continue;
+    if ( def.noInterfaceObject ) continue;
+    const iface = captured.get(def.name);
+    if ( ! iface ) {
+      report.missingInterfaces.push(def.name);
+      continue;
+    }
+    const present = new Set(interfaces.getMembers(graph, iface).map(
+        member => member.static ? member.name : `prototype.${member.name}`));
+    // Regular members of [Global] interfaces are own properties of the global
+    // object.
+    if ( def.global && globals.indexOf(def.name) !== -1 ) {
+      graph.getObjectKeys(root)
+          .forEach(name => present.add(`prototype.${name}`));
+    }
+    checkMembers(report, def, present, globals);
+  }
+
+  for ( const def of spec.namespaces.values() ) {
+    if ( ! isExposed(def.exposed, globals) ) continue;
+    const id = graph.lookup(def.name, root);
+    if ( graph.getObjectKeys(root).indexOf(def.name) === -1 ||
+         graph.isType(id) ) {
+      report.missingInterfaces.push(def.name);
+      continue;
+    }
+    checkMembers(report, def, new Set(graph.getObjectKeys(id)), globals);
+  }
+
+  for ( const name of captured.keys() ) {
+    if ( ! spec.interfaces.has(name) ) report.unspecifiedInterfaces.push(name);
+  }
+
+  for ( const key of Object.keys(report) ) report[key].sort();
+  return report;
+}
+
+// Report members of def missing from present, a Set of key suffixes, and
+// members in present that def does not declare.
+function checkMembers(report, def, present, globals) {
+  for ( const [ suffix, member ] of def.members ) {
+    if ( member.unforgeable || ! isExposed(member.exposed, globals) ) continue;
+    if ( ! present.has(suffix) )
+      report.missingMembers.push(`${def.name}.${suffix}`);
+  }
+  for ( const suffix of present ) {
+    if ( def.global && suffix.startsWith('prototype.') ) continue;
+    const name = suffix.startsWith('prototype.') ?
+        suffix.substr('prototype.'.length) : suffix;
+    if ( IMPLICIT_MEMBERS.indexOf(name) !== -1 ) continue;
+    if ( ! def.members.has(suffix) )
+      report.unspecifiedMembers.push(`${def.name}.${suffix}`);
+  }
+}
+
+module.exports = {
+  parse,
+  check,
+};
@@ -0,0 +1,113 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Generate TypeScript declarations (.d.ts) for interfaces exposed by a graph.
+// Argument and return types are not captured, so they are all "any"; data
+// properties holding primitives are typed after the captured primitive.
+
+const NameRewriter = require('./NameRewriter.js');
+const interfaces = require('./interfaces.es6.js');
+
+const IDENTIFIER_REG_EXP = /^[A-Za-z_$][0-9A-Za-z_$]*$/;
+
+// TypeScript types for captured primitive types.
+const PRIMITIVE_TYPES = {
+  boolean: 'boolean',
+  number: 'number',
+  string: 'string',
+  symbol: 'symbol',
+  undefined: 'undefined',
+  null: 'null',
+};
+
+// Get the TypeScript property name for a member name, or null if it cannot
+// be expressed (i.e., the name of a symbol that is not well-known).
+function formatName(name) {
+  if ( name.startsWith(NameRewriter.SYMBOL_PREFIX) ) {
+    const rest = name.substr(NameRewriter.SYMBOL_PREFIX.length);
+    const isWellKnown = IDENTIFIER_REG_EXP.test(rest) &&
+        typeof Symbol[rest] === 'symbol';
+    return isWellKnown ? `[Symbol.${rest}]` : null;
+  }
+  return IDENTIFIER_REG_EXP.test(name) ? name : JSON.stringify(name);
+}
+
+function formatArgs(arity) {
+  const args = [];
+  for ( let i = 0; i < ( arity || 0 ); i++ ) args.push(`arg${i}: any`);
+  return args.join(', ');
+}
+
+// Format the declaration of member, an own property of holderId.
+function formatMember(graph, holderId, member) {
+  const name = formatName(member.name);
+  if ( name === null ) return `// ${member.name}: not expressible`;
+  switch ( member.kind ) {
+    case 'operation':
+      return `${name}(${formatArgs(member.arity)}): any;` +
+          ( member.arity === null ? ' // unknown arity' : '' );
+    case 'attribute':
+    case 'const': {
+      // Values read through accessors on prototypes are not representative.
+      const type = member.accessor ? 'any' : PRIMITIVE_TYPES[graph.getType(
+          graph.lookup(member.name, holderId))] || 'any';
+      return `${member.readonly ? 'readonly ' : ''}${name}: ${type};`;
+    }
+    default:
+      return `${name}: any; // unknown kind`;
+  }
+}
+
+// Format the interface and constructor declarations of iface; see
+// interfaces.getInterfaces().
+function formatInterface(graph, iface, allInterfaces) {
+  const parent = interfaces.getParentInterface(graph, iface, allInterfaces);
+  // Every prototype chain ends at Object.prototype, which TypeScript leaves
+  // implicit.
+  const heritage = parent && parent.name !== 'Object' ?
+      ` extends ${parent.name}` : '';
+  const members = interfaces.getMembers(graph, iface);
+
+  const lines = [ `interface ${iface.name}${heritage} {` ];
+  for ( const member of members.filter(member => !member.static) )
+    lines.push(`  ${formatMember(graph, iface.protoId, member)}`);
+  lines.push('}');
+
+  lines.push(`declare var ${iface.name}: {`);
+  lines.push(`  prototype: ${iface.name};`);
+  const ctorArgs = formatArgs(graph.getFunctionLength(iface.ctorId));
+  lines.push(`  new(${ctorArgs}): ${iface.name};`);
+  for ( const member of members.filter(member => member.static) )
+    lines.push(`  ${formatMember(graph, iface.ctorId, member)}`);
+  lines.push('};');
+  return lines.join('\n');
+}
+
+// Get .d.ts text for interfaces exposed by graph. Supported options:
+//   interfaces: Names of interfaces to include; default: all.
+function toDeclarations(graph, opts = {}) {
+  const allInterfaces = interfaces.getInterfaces(graph);
+  const selected = opts.interfaces ? allInterfaces.filter(
+      iface => opts.interfaces.indexOf(iface.name) !== -1) : allInterfaces;
+  return selected.map(iface => formatInterface(graph, iface, allInterfaces))
+      .join('\n\n') + '\n';
+}
+
+module.exports = {
+  toDeclarations,
+};
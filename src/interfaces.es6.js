@@ -0,0 +1,121 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Helpers for reading interfaces (constructors and their prototypes) out of
+// an ObjectGraph, shared by the exporters.
+
+// Own keys of constructors that every function has, rather than members.
+const FUNCTION_KEYS = [ 'arguments', 'caller', 'length', 'name', 'prototype' ];
+
+// Get the id of own property name of id, or null.
+function getOwnId(graph, id, name) {
+  if ( graph.getObjectKeys(id).indexOf(name) === -1 ) return null;
+  return graph.lookup(name, id);
+}
+
+// Get interfaces exposed on the graph's root, sorted by name: constructor
+// functions whose "prototype" refers back to them through "constructor".
+// Returns [{ name, ctorId, protoId }].
+function getInterfaces(graph) {
+  const root = graph.getRoot();
+  const interfaces = [];
+  for ( const name of graph.getObjectKeys(root) ) {
+    const ctorId = graph.lookup(name, root);
+    if ( ! graph.isFunction(ctorId) ) continue;
+    const protoId = getOwnId(graph, ctorId, 'prototype');
+    if ( protoId === null || graph.isType(protoId) ) continue;
+    if ( getOwnId(graph, protoId, 'constructor') !== ctorId ) continue;
+    interfaces.push({ name, ctorId, protoId });
+  }
+  return interfaces;
+}
+
+// Get the interface whose prototype is the __proto__ of iface's prototype,
+// from among interfaces, or null.
+function getParentInterface(graph, iface, interfaces) {
+  const parentProtoId = graph.getPrototype(iface.protoId);
+  return interfaces.find(other => other.protoId === parentProtoId) || null;
+}
+
+// Classify own property name of holderId, an interface prototype or
+// constructor. Returns { name, static, kind, readonly, accessor, arity },
+// where kind is one of:
+//   "operation": data property holding a function; arity is its length, or
+//                null if unknown.
+//   "attribute": accessor property, or data property holding a non-function.
+//   "const": non-writable, non-configurable primitive data property.
+//   "unknown": no descriptor was captured.
+function classifyMember(graph, holderId, name, isStatic) {
+  const member = { name, static: isStatic, kind: 'unknown', readonly: false,
+                   accessor: false, arity: null };
+  const metadata = graph.lookupMetaData(name, holderId);
+  if ( Object.keys(metadata).length === 0 ) return member;
+
+  if ( metadata.hasOwnProperty('get') || metadata.hasOwnProperty('set') ) {
+    member.kind = 'attribute';
+    member.readonly = !metadata.set;
+    member.accessor = true;
+    return member;
+  }
+  const valueId = graph.lookup(name, holderId);
+  if ( graph.isFunction(valueId) ) {
+    member.kind = 'operation';
+    member.arity = graph.getFunctionLength(valueId);
+  } else if ( graph.isType(valueId) && !metadata.writable &&
+              !metadata.configurable ) {
+    member.kind = 'const';
+    member.readonly = true;
+  } else {
+    member.kind = 'attribute';
+    member.readonly = !metadata.writable;
+  }
+  return member;
+}
+
+// Is name an inherited property that capture re-read on holderId (see
+// ObjectGraph.prototype.visitInstance()), rather than an own property?
+function isReadThrough(graph, holderId, name) {
+  return Object.keys(graph.lookupMetaData(name, holderId)).length === 0 &&
+      graph.getProtoPropertyNames(holderId).indexOf(name) !== -1;
+}
+
+// Get members of iface, sorted by name: own properties of its prototype
+// (other than "constructor") and of its constructor (other than those all
+// functions have). See classifyMember().
+function getMembers(graph, iface) {
+  const members = [];
+  for ( const name of graph.getObjectKeys(iface.protoId) ) {
+    if ( name === 'constructor' ||
+         isReadThrough(graph, iface.protoId, name) ) continue;
+    members.push(classifyMember(graph, iface.protoId, name, false));
+  }
+  for ( const name of graph.getObjectKeys(iface.ctorId) ) {
+    if ( FUNCTION_KEYS.indexOf(name) !== -1 ||
+         isReadThrough(graph, iface.ctorId, name) ) continue;
+    members.push(classifyMember(graph, iface.ctorId, name, true));
+  }
+  return members.sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 :
+                      a.static - b.static);
+}
+
+module.exports = {
+  getInterfaces,
+  getParentInterface,
+  getMembers,
+  classifyMember,
+};
@@ -18,8 +18,21 @@
 
 module.exports = {
   NameRewriter: require('./NameRewriter.js'),
+  Scheduler: require('./Scheduler.js'),
   TaskQueue: require('./TaskQueue.js'),
+  CaptureHandle: require('./CaptureHandle.es6.js'),
+  CompactTable: require('./CompactTable.es6.js'),
+  CompatMatrix: require('./CompatMatrix.es6.js'),
+  KeyPattern: require('./KeyPattern.es6.js'),
   ObjectGraph: require('./ObjectGraph.es6.js'),
   BrowserObjectGraph: require('./BrowserObjectGraph.es6.js'),
+  DiffReport: require('./DiffReport.es6.js'),
   analysis: require('./analysis.es6.js'),
+  bcd: require('./bcd.es6.js'),
+  conformance: require('./conformance.es6.js'),
+  dts: require('./dts.es6.js'),
+  interfaces: require('./interfaces.es6.js'),
+  pollution: require('./pollution.es6.js'),
+  visualize: require('./visualize.es6.js'),
+  webidl: require('./webidl.es6.js'),
 };
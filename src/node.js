@@ -0,0 +1,51 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Entry point for Node: everything in main.js, plus helpers that need Node's
+// fs, child_process and vm modules. Browser bundles should use main.js.
+
+var main = require('./main.js');
+var nodeFiles = require('./nodeFiles.es6.js');
+var nodeRealm = require('./nodeRealm.es6.js');
+
+// Like pollution.captureWithBaseline(), but with a vm context for the
+// pristine realm, and Node's own globals left out of reports on the global
+// object.
+function captureWithBaseline(graph, o, opts) {
+  return main.pollution.captureWithBaseline(graph, o, Object.assign({
+    createRealm: nodeRealm.createRealm,
+    hostGlobalKeys: o === undefined || o === global ?
+        nodeRealm.getHostGlobalKeys() : [],
+  }, opts || {}));
+}
+
+module.exports = Object.assign({}, main, {
+  bcd: Object.assign({}, main.bcd, {
+    mergeBCDFile: nodeFiles.mergeBCDFile,
+  }),
+  conformance: Object.assign({}, main.conformance, {
+    loadDirectory: nodeFiles.loadDirectory,
+  }),
+  dts: Object.assign({}, main.dts, {
+    writeDeclarations: nodeFiles.writeDeclarations,
+  }),
+  pollution: Object.assign({}, main.pollution, {
+    createRealm: nodeRealm.createRealm,
+    captureWithBaseline: captureWithBaseline,
+  }),
+});
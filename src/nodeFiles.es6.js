@@ -0,0 +1,59 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// File helpers for the exporters and the conformance check. Node only:
+// requires fs and path; see node.js.
+
+const fs = require('fs');
+const path = require('path');
+const bcd = require('./bcd.es6.js');
+const conformance = require('./conformance.es6.js');
+const dts = require('./dts.es6.js');
+
+// Merge BCD JSON generated from graphs into the BCD file at filePath (created
+// if missing). See bcd.toBCD() for options.
+function mergeBCDFile(filePath, graphs, opts = {}) {
+  const existing = fs.existsSync(filePath) ?
+      JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+  const merged = bcd.mergeBCD(existing, bcd.toBCD(graphs, opts));
+  fs.writeFileSync(filePath, JSON.stringify(merged, null, 2) + '\n');
+  return merged;
+}
+
+// Parse WebIDL definitions from every ".webidl" file in directory dir.
+// Returns a spec for conformance.check().
+function loadDirectory(dir) {
+  const files = fs.readdirSync(dir)
+      .filter(name => name.endsWith('.webidl')).sort();
+  return conformance.parse(files.map(name => ({
+    name,
+    text: fs.readFileSync(path.join(dir, name), 'utf8'),
+  })));
+}
+
+// Write .d.ts text for graph to the file at filePath. See
+// dts.toDeclarations() for options.
+function writeDeclarations(filePath, graph, opts = {}) {
+  fs.writeFileSync(filePath, dts.toDeclarations(graph, opts));
+}
+
+module.exports = {
+  mergeBCDFile,
+  loadDirectory,
+  writeDeclarations,
+};
@@ -0,0 +1,111 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Pristine realms for Node; see pollution.es6.js and node.js. Node only:
+// requires child_process and vm.
+
+const NameRewriter = require('./NameRewriter.js');
+
+// Create a pristine realm: a new vm context. Returns { global, dispose }.
+function createRealm() {
+  const vm = require('vm');
+  // By default, the new global inherits from its sandbox, an object of this
+  // realm, and so from this realm's Object.prototype. Instead, give it the
+  // prototype chain of Node's own global, built from the new realm's objects.
+  const context = vm.createContext(Object.create(null));
+  vm.runInContext(`Object.setPrototypeOf(this, Object.create(Object.prototype, {
+    constructor: { value: Object, writable: true, configurable: true },
+  }))`, context);
+  return {
+    global: vm.runInContext('this', context),
+    dispose: () => {},
+  };
+}
+
+function isObject(value) {
+  return ( typeof value === 'object' && value !== null ) ||
+      typeof value === 'function';
+}
+
+// Get a map of property key => name, as names appear in keys, for o's own
+// properties.
+function getPropertyNames(o, nameRewriter) {
+  const names = nameRewriter.symbolsToNames(Object.getOwnPropertySymbols(o));
+  for ( const key of Object.getOwnPropertyNames(o) )
+    names.set(key, nameRewriter.keyToName(key));
+  return names;
+}
+
+// Get the keys, relative to the global object, of what this process's host
+// provides beyond a new realm's built-ins: globals, and properties of
+// built-in globals (e.g., process, Buffer, setTimeout, console.Console).
+function getHostGlobalKeysInProcess() {
+  const nameRewriter = new NameRewriter();
+  const realm = createRealm();
+  const keys = [];
+  const realmNames = new Set(
+      getPropertyNames(realm.global, nameRewriter).values());
+  for ( const [ key, name ] of getPropertyNames(global, nameRewriter) ) {
+    if ( ! realmNames.has(name) ) {
+      keys.push(name);
+      continue;
+    }
+    // Compare data properties only: getters may have side effects.
+    const value = Object.getOwnPropertyDescriptor(global, key).value;
+    const realmValue = Object.getOwnPropertyDescriptor(realm.global, key)
+        .value;
+    // E.g., globalThis.
+    if ( value === global ) continue;
+    if ( ! isObject(value) || ! isObject(realmValue) ) continue;
+    const names = new Set(getPropertyNames(realmValue, nameRewriter).values());
+    for ( const part of getPropertyNames(value, nameRewriter).values() ) {
+      if ( ! names.has(part) ) keys.push(`${name}.${part}`);
+    }
+  }
+  realm.dispose();
+  return keys;
+}
+
+let hostGlobalKeys = null;
+
+// Get the keys of what Node provides beyond a new realm's built-ins, for the
+// hostGlobalKeys option of pollution.captureWithBaseline(); see
+// getHostGlobalKeysInProcess(). Scripts may have added to this process's
+// global object, so the keys are computed, on first use, by running this
+// module in a new Node process. Returns [] if that fails.
+function getHostGlobalKeys() {
+  if ( hostGlobalKeys === null ) {
+    const result = require('child_process').spawnSync(
+        process.execPath, [ __filename ], { encoding: 'utf8' });
+    try {
+      hostGlobalKeys = JSON.parse(result.stdout);
+    } catch (e) {
+      console.warn('Failed to list Node globals:', result.error || e);
+      hostGlobalKeys = [];
+    }
+  }
+  return hostGlobalKeys;
+}
+
+if ( require.main === module )
+  process.stdout.write(JSON.stringify(getHostGlobalKeysInProcess()));
+
+module.exports = {
+  createRealm,
+  getHostGlobalKeys,
+};
@@ -0,0 +1,258 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const DiffReport = require('./DiffReport.es6.js');
+const NameRewriter = require('./NameRewriter.js');
+const ObjectGraph = require('./ObjectGraph.es6.js');
+const analysis = require('./analysis.es6.js');
+
+// Find out what scripts changed in a realm by capturing a pristine realm of
+// the same kind next to it: a fresh same-origin iframe in browsers, or a new
+// vm context in Node (see nodeRealm.es6.js and node.js). Keys that differ
+// from the pristine realm's built-ins are reported as added, overwritten or
+// deleted. Added objects can populate blacklistedObjects, in place of the
+// hand-maintained list in ObjectGraph.
+
+// Create a pristine realm in a browser. Returns { global, dispose }, where
+// global is the realm's global object and dispose() releases the realm.
+function createRealm() {
+  if ( typeof document === 'undefined' )
+    throw new Error('Pristine realms outside browsers require node.js');
+  const iframe = document.createElement('iframe');
+  iframe.style.display = 'none';
+  ( document.body || document.documentElement ).appendChild(iframe);
+  return {
+    global: iframe.contentWindow,
+    dispose: () => iframe.parentNode && iframe.parentNode.removeChild(iframe),
+  };
+}
+
+function getHostGlobal() {
+  return typeof window === 'undefined' ? global : window;
+}
+
+// Create an empty graph of the same kind, and with the same capture
+// settings, as graph.
+function createBaselineGraph(graph) {
+  const baseline = Object.create(Object.getPrototypeOf(graph));
+  baseline.init({
+    scheduler: graph.queueOpts.scheduler,
+    maxDequeueSize: graph.queueOpts.maxDequeueSize,
+    async: graph.queueOpts.async,
+    blacklistedObjects: graph.blacklistedObjects.slice(),
+    nameRewriter: graph.nameRewriter,
+    captureAccessors: graph.captureAccessors,
+    captureSymbols: graph.captureSymbols,
+    captureValues: graph.captureValues,
+    maxKeysPerId: graph.maxKeysPerId,
+    environment: graph.environment,
+  });
+  baseline.blacklistedKeys = graph.blacklistedKeys;
+  baseline.blacklistedProperties = graph.blacklistedProperties;
+  baseline.userAgent = graph.userAgent;
+  return baseline;
+}
+
+// Make a graph matcher (see analysis.anyAnyGraphMatcher) that pairs each
+// object in baseline with the object at its shortest key in graph, if any.
+// Objects that scripts add can change the shortest keys of built-ins in
+// graph (e.g., "window._.__proto__" in place of "window.JSON.__proto__"),
+// which throws off matchers that compare sets of keys.
+function baselineGraphMatcher(baseline, graph) {
+  let counterparts = null;
+  const getCounterparts = g1 => {
+    if ( ! counterparts ) {
+      const forward = new Map();
+      const inverse = new Map();
+      for ( const id of baseline.getAllIds() ) {
+        const key = baseline.getShortestKey(id);
+        const id2 = key === null ? null : graph.lookupKey(key);
+        if ( id2 === null || graph.isType(id2) || inverse.has(id2) ) continue;
+        forward.set(id, id2);
+        inverse.set(id2, id);
+      }
+      counterparts = { forward, inverse };
+    }
+    return g1 === baseline ? counterparts.forward : counterparts.inverse;
+  };
+
+  const match = (id1, g1, g2) => getCounterparts(g1).has(id1);
+  match.findMatch = (id1, g1, g2) => {
+    const key1 = g1.getShortestKey(id1);
+    const key2 = g2.getShortestKey(getCounterparts(g1).get(id1));
+    return { id: id1, key1, key2, reason: null, renames: [] };
+  };
+  return match;
+}
+
+// Compare graph, a capture of a realm, to baseline, a capture of a pristine
+// realm under the same key. Objects are aligned using match, as in
+// analysis.diff(); default: baselineGraphMatcher(baseline, graph). Returns
+// { key, added, overwritten, deleted }, where key is the root key and the
+// rest are sorted lists of keys. Besides changes that analysis.diff()
+// reports, native functions replaced by script functions count as
+// overwritten. Keys under an added or deleted key, or under a replaced
+// function, are not listed.
+function getReport(baseline, graph, match) {
+  const types = DiffReport.types;
+  const added = new Set();
+  const overwritten = new Set();
+  const deleted = new Set();
+  match = match || baselineGraphMatcher(baseline, graph);
+
+  const replaced = [];
+  for ( const id of baseline.getAllIds() ) {
+    if ( ! baseline.isNativeFunction(id) ) continue;
+    const key = baseline.getShortestKey(id);
+    if ( key === null ) continue;
+    const id2 = graph.lookupKey(key);
+    const origin = graph.isFunction(id2) && graph.getFunctionOrigin(id2);
+    if ( origin && origin !== 'native' ) replaced.push(key);
+  }
+  const isReplaced = key => replaced.some(
+      replacedKey => key.startsWith(replacedKey + '.'));
+
+  for ( const entry of analysis.diff(baseline, graph, match).entries ) {
+    if ( isReplaced(entry.key) ) continue;
+    if ( entry.type === types.OBJECT_ADDED ||
+         entry.type === types.PROPERTY_ADDED ) {
+      added.add(entry.key);
+    } else if ( entry.type === types.OBJECT_REMOVED ||
+                entry.type === types.PROPERTY_REMOVED ) {
+      deleted.add(entry.key);
+    } else {
+      overwritten.add(entry.key);
+    }
+  }
+  replaced.forEach(key => overwritten.add(key));
+
+  return {
+    key: graph.key,
+    added: Array.from(added).sort(),
+    overwritten: Array.from(overwritten).sort(),
+    deleted: Array.from(deleted).sort(),
+  };
+}
+
+function isObject(value) {
+  return ( typeof value === 'object' && value !== null ) ||
+      typeof value === 'function';
+}
+
+// Follow path, an array of key parts, from o. Return undefined when it cannot
+// be followed.
+function resolve(o, path, nameRewriter) {
+  const accessorParts = {};
+  for ( const part in ObjectGraph.ACCESSOR_KEYS )
+    accessorParts[ObjectGraph.ACCESSOR_KEYS[part]] = part;
+
+  let value = o;
+  for ( let i = 0; i < path.length; i++ ) {
+    if ( ! isObject(value) ) return undefined;
+    if ( path[i] === '__proto__' ) {
+      value = Object.getPrototypeOf(value);
+      continue;
+    }
+    const key = nameRewriter.nameToKey(path[i]);
+    if ( key === null ) return undefined;
+    const accessorPart = accessorParts[path[i + 1]];
+    try {
+      if ( accessorPart ) {
+        const descriptor = Object.getOwnPropertyDescriptor(value, key);
+        value = descriptor && descriptor[accessorPart];
+        i++;
+      } else {
+        value = value[key];
+      }
+    } catch (e) {
+      return undefined;
+    }
+  }
+  return value;
+}
+
+// Get the objects that scripts added, according to report, looked up from o,
+// the object captured under report.key. Suitable for the blacklistedObjects
+// option of later captures.
+function getBlacklist(report, o, nameRewriter = new NameRewriter()) {
+  const prefix = report.key + '.';
+  const objects = [];
+  for ( const key of report.added ) {
+    if ( ! key.startsWith(prefix) ) continue;
+    const value = resolve(o, key.substr(prefix.length).split('.'),
+                          nameRewriter);
+    if ( isObject(value) && objects.indexOf(value) === -1 )
+      objects.push(value);
+  }
+  return objects;
+}
+
+// Drop keys at or under the given keys, relative to report.key, from report.
+function omitKeys(report, keys) {
+  const prefixes = keys.map(key => `${report.key}.${key}`);
+  const isOmitted = key => prefixes.some(
+      prefix => key === prefix || key.startsWith(prefix + '.'));
+  for ( const list of [ 'added', 'overwritten', 'deleted' ] )
+    report[list] = report[list].filter(key => ! isOmitted(key));
+  return report;
+}
+
+// Capture o (default: this realm's global object) into graph, and a pristine
+// realm into a new graph of the same kind, then annotate graph with their
+// differences; see ObjectGraph.prototype.getPollution(). opts are capture
+// options for both (see ObjectGraph.prototype.capture()), plus:
+//   match: Graph matcher for aligning objects; see getReport().
+//   blacklist: Also add objects that scripts added to
+//              graph.blacklistedObjects, so that later captures skip them.
+//   createRealm: Function that creates the pristine realm; default:
+//                createRealm().
+//   hostGlobalKeys: Keys, relative to the global object, of what the host
+//                   provides but the pristine realm lacks. Left out of the
+//                   report when o is this realm's global object. Browsers
+//                   provide the same to iframes, so the default is none.
+// Returns a promise that resolves to { graph, baseline, report }.
+function captureWithBaseline(graph, o, opts = {}) {
+  const host = o === undefined ? getHostGlobal() : o;
+  const realm = ( opts.createRealm || createRealm )();
+  const baseline = createBaselineGraph(graph);
+  const baselineOpts = Object.assign({}, opts);
+  delete baselineOpts.onDone;
+
+  const baselineDone = baseline.capture(realm.global, baselineOpts).done;
+  baselineDone.then(realm.dispose, realm.dispose);
+  return baselineDone.then(() => graph.capture(host, opts).done).then(() => {
+    let report = getReport(baseline, graph, opts.match);
+    if ( host === getHostGlobal() )
+      report = omitKeys(report, opts.hostGlobalKeys || []);
+    graph.pollution = report;
+    if ( opts.blacklist ) {
+      graph.blacklistedObjects.push.apply(
+          graph.blacklistedObjects,
+          getBlacklist(report, host, graph.nameRewriter));
+    }
+    return { graph, baseline, report };
+  });
+}
+
+module.exports = {
+  createRealm,
+  baselineGraphMatcher,
+  getReport,
+  getBlacklist,
+  captureWithBaseline,
+};
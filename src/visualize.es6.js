@@ -0,0 +1,142 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Export a graph, or part of it, for visualization as Graphviz DOT or
+// GraphML. Property edges are drawn solid and labeled with the property name;
+// __proto__ edges are drawn dashed.
+
+// Collect the nodes and edges reachable from the object at opts.key (a
+// complete key, as returned by ObjectGraph.prototype.getKeys(); default: the
+// root) within opts.depth edges (default: unlimited). Primitive values are
+// left out unless opts.includePrimitives is set; each one then gets a node
+// of its own. Returns { nodes: [{ id, label, kind }],
+// edges: [{ from, to, label, kind }] }.
+function getSubgraph(graph, opts = {}) {
+  const startId = opts.key === undefined ? graph.getRoot() :
+      graph.lookupKey(opts.key);
+  if ( ! startId || graph.isType(startId) )
+    throw new Error(`No object at key: ${opts.key}`);
+  const maxDepth = opts.depth === undefined ? Infinity : opts.depth;
+
+  const nodes = [];
+  const edges = [];
+  const depths = new Map([ [ startId, 0 ] ]);
+  const queue = [ startId ];
+  let primitiveCount = 0;
+  const visit = (fromId, toId, label, kind) => {
+    if ( graph.isType(toId) ) {
+      if ( ! opts.includePrimitives ) return;
+      const id = `p${primitiveCount++}`;
+      nodes.push({ id, label: graph.getType(toId), kind: 'primitive' });
+      edges.push({ from: `n${fromId}`, to: id, label, kind });
+      return;
+    }
+    edges.push({ from: `n${fromId}`, to: `n${toId}`, label, kind });
+    if ( depths.has(toId) ) return;
+    depths.set(toId, depths.get(fromId) + 1);
+    queue.push(toId);
+  };
+
+  while ( queue.length > 0 ) {
+    const id = queue.shift();
+    nodes.push({ id: `n${id}`, label: getLabel(graph, id),
+                 kind: graph.isFunction(id) ? 'function' : 'object' });
+    // Edges out of nodes at the depth limit would lead outside the subgraph.
+    if ( depths.get(id) >= maxDepth ) continue;
+
+    const protoId = graph.getPrototype(id);
+    if ( ! graph.isType(protoId) ) visit(id, protoId, '__proto__', 'proto');
+    const props = graph.getPropertiesIds(id);
+    for ( const name of Object.keys(props).sort() ) {
+      visit(id, props[name], graph.nameRewriter.unrewriteName(name),
+            'property');
+    }
+  }
+  return { nodes, edges };
+}
+
+// Label objects by function name or string representation, falling back on
+// their id.
+function getLabel(graph, id) {
+  if ( graph.isFunction(id) ) return graph.getFunctionName(id) || `#${id}`;
+  return graph.getToString(id) || `#${id}`;
+}
+
+function quoteDOT(str) {
+  return '"' + String(str).replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+      .replace(/\n/g, '\\n') + '"';
+}
+
+// Get Graphviz DOT text for graph; see getSubgraph() for options.
+function toDOT(graph, opts = {}) {
+  const subgraph = getSubgraph(graph, opts);
+  const lines = [ 'digraph ObjectGraph {', '  node [shape=box];' ];
+  for ( const node of subgraph.nodes ) {
+    const style = node.kind === 'function' ? ', style=rounded' :
+        node.kind === 'primitive' ? ', shape=plaintext' : '';
+    lines.push(`  ${node.id} [label=${quoteDOT(node.label)}${style}];`);
+  }
+  for ( const edge of subgraph.edges ) {
+    const style = edge.kind === 'proto' ? ', style=dashed, color=gray' : '';
+    lines.push(`  ${edge.from} -> ${edge.to} ` +
+               `[label=${quoteDOT(edge.label)}${style}];`);
+  }
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+function escapeXML(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Get GraphML text for graph; see getSubgraph() for options. Nodes and edges
+// carry "label" and "kind" data.
+function toGraphML(graph, opts = {}) {
+  const subgraph = getSubgraph(graph, opts);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="nodeLabel" for="node" attr.name="label" attr.type="string"/>',
+    '  <key id="nodeKind" for="node" attr.name="kind" attr.type="string"/>',
+    '  <key id="edgeLabel" for="edge" attr.name="label" attr.type="string"/>',
+    '  <key id="edgeKind" for="edge" attr.name="kind" attr.type="string"/>',
+    '  <graph id="ObjectGraph" edgedefault="directed">',
+  ];
+  for ( const node of subgraph.nodes ) {
+    lines.push(`    <node id="${node.id}">`,
+               `      <data key="nodeLabel">${escapeXML(node.label)}</data>`,
+               `      <data key="nodeKind">${node.kind}</data>`,
+               '    </node>');
+  }
+  subgraph.edges.forEach((edge, i) => {
+    lines.push(
+        `    <edge id="e${i}" source="${edge.from}" target="${edge.to}">`,
+        `      <data key="edgeLabel">${escapeXML(edge.label)}</data>`,
+        `      <data key="edgeKind">${edge.kind}</data>`,
+        '    </edge>');
+  });
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  getSubgraph,
+  toDOT,
+  toGraphML,
+};
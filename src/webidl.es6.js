@@ -0,0 +1,98 @@
+/**
+ * @license
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Reconstruct WebIDL interface definitions from a graph. Types are not
+// captured, so attribute, argument and return types are all "any".
+
+const interfaces = require('./interfaces.es6.js');
+
+const IDENTIFIER_REG_EXP = /^[A-Za-z_][0-9A-Za-z_-]*$/;
+
+// WebIDL types for the primitive types of const values.
+const CONST_TYPES = {
+  boolean: 'boolean',
+  number: 'unrestricted double',
+};
+
+// Format the WebIDL definition of member of interface iface.
+function formatMember(graph, iface, member) {
+  if ( ! IDENTIFIER_REG_EXP.test(member.name) )
+    return `// ${member.name}: not a WebIDL identifier`;
+
+  const prefix = member.static ? 'static ' : '';
+  switch ( member.kind ) {
+    case 'operation': {
+      const args = [];
+      for ( let i = 0; i < ( member.arity || 0 ); i++ )
+        args.push(`any arg${i}`);
+      const unknownArity = member.arity === null ? ' // unknown arity' : '';
+      return `${prefix}any ${member.name}(${args.join(', ')});${unknownArity}`;
+    }
+    case 'attribute':
+      return `${prefix}${member.readonly ? 'readonly ' : ''}attribute any ` +
+          `${member.name};`;
+    case 'const': {
+      const holderId = member.static ? iface.ctorId : iface.protoId;
+      const type = graph.getType(graph.lookup(member.name, holderId));
+      const value = graph.lookupValue(member.name, holderId);
+      if ( ! CONST_TYPES[type] || value === undefined )
+        return `// const ${member.name}: ${type} value not captured`;
+      return `const ${CONST_TYPES[type]} ${member.name} = ${value};`;
+    }
+    default:
+      return `/* unknown kind */ attribute any ${member.name};`;
+  }
+}
+
+// Format the WebIDL definition of iface; see interfaces.getInterfaces().
+function formatInterface(graph, iface, allInterfaces) {
+  const parent = interfaces.getParentInterface(graph, iface, allInterfaces);
+  // Every prototype chain ends at Object.prototype, which WebIDL leaves
+  // implicit.
+  const inheritance = parent && parent.name !== 'Object' ?
+      ` : ${parent.name}` : '';
+  const lines = [ `interface ${iface.name}${inheritance} {` ];
+  const members = interfaces.getMembers(graph, iface);
+  // Constants are exposed on both the interface object and its prototype;
+  // list each once.
+  const protoConsts = new Set(members
+      .filter(member => member.kind === 'const' && ! member.static)
+      .map(member => member.name));
+  for ( const member of members ) {
+    if ( member.kind === 'const' && member.static &&
+         protoConsts.has(member.name) ) continue;
+    lines.push(`  ${formatMember(graph, iface, member)}`);
+  }
+  lines.push('};');
+  return lines.join('\n');
+}
+
+// Get WebIDL text for interfaces exposed by graph. Supported options:
+//   interfaces: Names of interfaces to include; default: all.
+function toWebIDL(graph, opts = {}) {
+  const allInterfaces = interfaces.getInterfaces(graph);
+  const selected = opts.interfaces ? allInterfaces.filter(
+      iface => opts.interfaces.indexOf(iface.name) !== -1) : allInterfaces;
+  return selected.map(iface => formatInterface(graph, iface, allInterfaces))
+      .join('\n\n') + '\n';
+}
+
+module.exports = {
+  formatInterface,
+  toWebIDL,
+};